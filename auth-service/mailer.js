@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable outgoing mail. MAIL_DRIVER picks the transport:
+//   file    - append every message to MAIL_FILE_PATH (default, for development)
+//   console - print messages to the service log
+//   smtp    - deliver through SMTP_HOST/SMTP_PORT (e.g. a Mailpit/MailHog stand-in in dev)
+const MAIL_FROM = process.env.MAIL_FROM || 'Video App <no-reply@localhost>';
+
+function createFileTransport() {
+  const filePath = process.env.MAIL_FILE_PATH || '/tmp/mail/outbox.log';
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  return async (message) => {
+    const entry = [
+      `Date: ${new Date().toISOString()}`,
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '-'.repeat(72),
+      ''
+    ].join('\n');
+    await fs.promises.appendFile(filePath, entry);
+  };
+}
+
+function createConsoleTransport() {
+  return async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  };
+}
+
+function createSmtpTransport() {
+  // Only needed when SMTP is actually used
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '1025', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+  });
+
+  return async (message) => {
+    await transporter.sendMail(message);
+  };
+}
+
+const TRANSPORTS = {
+  file: createFileTransport,
+  console: createConsoleTransport,
+  smtp: createSmtpTransport
+};
+
+function createMailer(driver = process.env.MAIL_DRIVER || 'file') {
+  const createTransport = TRANSPORTS[driver];
+  if (!createTransport) {
+    throw new Error(`Unknown MAIL_DRIVER: ${driver}`);
+  }
+
+  const send = createTransport();
+  console.log(`📧 Mailer using ${driver} transport`);
+
+  return {
+    async sendMail({ to, subject, text }) {
+      await send({ from: MAIL_FROM, to, subject, text });
+    }
+  };
+}
+
+module.exports = { createMailer };
@@ -2,13 +2,65 @@ const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { Pool } = require('pg');
-const { body, validationResult } = require('express-validator');
+const redis = require('redis');
+const { body, query, validationResult } = require('express-validator');
+const {
+  JOB_PRIORITIES, PROCESSING_KEY, DELAYED_KEY, DEAD_KEY, parseQueueEntry, buildJobFromVideo, enqueueJob, listQueuedJobs,
+  removeVideoJobs, findWaitingJob, takeWaitingJob, setWaitingJobPriority, takeDeadJobs, requeueJob, isJobProcessing,
+  requestJobControl
+} = require('../shared/queue');
+const { createMailer } = require('./mailer');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+
+// Signed playback URLs served by upload-service (/media/<videoId>/<expires>/<signature>/<file>)
+const MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || JWT_SECRET;
+const MEDIA_URL_TTL = parseInt(process.env.MEDIA_URL_TTL || '3600', 10); // seconds
+const MEDIA_URL_STEP = 15 * 60; // expiry is rounded up so list refreshes keep the same (cacheable) URLs
+
+// Editable video metadata
+const VIDEO_CATEGORIES = ['general', 'education', 'entertainment', 'music', 'gaming', 'news', 'sports', 'travel', 'technology', 'other'];
+const MAX_TAGS = 20;
+
+// Roles: admins manage everything, uploaders (default) own media, viewers only watch.
+// ADMIN_USERNAMES (comma separated) are promoted on startup and on registration.
+const USER_ROLES = ['admin', 'uploader', 'viewer'];
+const DEFAULT_USER_ROLE = USER_ROLES.includes(process.env.DEFAULT_USER_ROLE) ? process.env.DEFAULT_USER_ROLE : 'uploader';
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean);
+
+// Storage quotas: originals plus every derived output count against the owner's quota.
+// STORAGE_QUOTA_MB is the default (0 = unlimited); users.storage_quota_mb overrides it per user.
+const STORAGE_QUOTA_MB = parseInt(process.env.STORAGE_QUOTA_MB || '5120', 10);
+const STORAGE_WARNING_PERCENT = parseInt(process.env.STORAGE_WARNING_PERCENT || '80', 10);
+
+// Standing queue priorities a user can be given (JOB_PRIORITIES in shared/queue.js); urgent is
+// only given out by an admin bumping a single job
+const USER_JOB_PRIORITIES = ['low', 'normal', 'high'];
+
+// Sessions: short-lived access tokens plus rotating refresh tokens (stored hashed)
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL || '900', 10); // seconds
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const REFRESH_REUSE_GRACE = 10; // seconds a just-rotated token may race in from another tab
+const LEGACY_TOKEN_TTL = 7 * 24 * 60 * 60; // tokens issued before sessions existed (no sid) lived 7 days
+
+// Account e-mails (verification and password reset links point at the frontend)
+const APP_URL = process.env.APP_URL || 'http://localhost:3001';
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24', 10);
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+const mailer = createMailer();
+
+// Brute-force protection: after LOGIN_MAX_FAILURES failed logins an account is locked for
+// LOGIN_LOCKOUT_BASE seconds, doubled on every further failure up to LOGIN_LOCKOUT_MAX
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10);
+const LOGIN_LOCKOUT_BASE = 30; // seconds
+const LOGIN_LOCKOUT_MAX = 60 * 60;
+const LOGIN_FAILURE_WINDOW = 24 * 60 * 60; // failures are forgotten after a quiet day
 
 // Database connection
 const pool = new Pool({
@@ -19,15 +71,29 @@ const pool = new Pool({
   password: process.env.DB_PASSWORD || 'password'
 });
 
+// Redis client (processing queue housekeeping)
+const redisClient = redis.createClient({
+  url: process.env.REDIS_URL || 'redis://localhost:6379'
+});
+
+redisClient.on('error', (err) => console.log('Redis Client Error', err));
+redisClient.connect();
+
 // Middleware
 app.use(cors({
   origin: ['http://localhost:3001', 'http://127.0.0.1:3001'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Retry-After']
 }));
 app.use(express.json({ limit: '10mb' }));
 
+// Behind a reverse proxy req.ip (used for per-IP rate limits) has to come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
@@ -69,22 +135,209 @@ async function initDatabase() {
         thumbnail_path TEXT,
         compressed_path TEXT,
         converted_path TEXT,
+        hls_path TEXT,
+        job_id VARCHAR(64),
         status VARCHAR(20) DEFAULT 'processing',
         is_public BOOLEAN DEFAULT false,
+        title VARCHAR(255),
+        description TEXT,
+        tags TEXT[] DEFAULT '{}',
+        category VARCHAR(50),
+        thumbnail_candidates JSONB,
+        progress INTEGER DEFAULT 0,
+        attempts INTEGER DEFAULT 0,
+        error_message TEXT,
+        step_timings JSONB,
+        metadata JSONB,
+        processing_started_at TIMESTAMP,
+        processing_completed_at TIMESTAMP,
+        deleted_at TIMESTAMP,
+        purge_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Unlisted share links; revoked links are kept so the owner can see their history
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS share_links (
+        id SERIAL PRIMARY KEY,
+        video_id INTEGER REFERENCES videos(id) ON DELETE CASCADE,
+        token VARCHAR(64) UNIQUE NOT NULL,
+        password_hash VARCHAR(255),
+        expires_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        view_count INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'uploader',
+        ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS storage_quota_mb INTEGER,
+        ADD COLUMN IF NOT EXISTS job_priority VARCHAR(10)
+    `);
+    if (ADMIN_USERNAMES.length > 0) {
+      await pool.query(`UPDATE users SET role = 'admin' WHERE username = ANY($1) AND role <> 'admin'`, [ADMIN_USERNAMES]);
+    }
+
+    // Single-use, expiring links for e-mail verification and password reset (stored hashed)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS account_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(20) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        email VARCHAR(100),
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`DELETE FROM account_tokens WHERE expires_at < NOW() - INTERVAL '7 days'`);
+
+    // Login sessions; the refresh token is only kept as a SHA-256 hash, the previous
+    // one is remembered so a replayed (stolen) refresh token revokes the session
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+        previous_token_hash VARCHAR(64),
+        user_agent TEXT,
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+      )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions (previous_token_hash)`);
+    await pool.query(`DELETE FROM sessions WHERE expires_at < NOW() - INTERVAL '30 days'`);
+
+    // Columns added after the initial schema (existing databases)
+    await pool.query(`ALTER TABLE videos ADD COLUMN IF NOT EXISTS hls_path TEXT`);
+    await pool.query(`ALTER TABLE videos ADD COLUMN IF NOT EXISTS job_id VARCHAR(64)`);
+    await pool.query(`ALTER TABLE videos ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`);
+    await pool.query(`ALTER TABLE videos ADD COLUMN IF NOT EXISTS purge_at TIMESTAMP`);
+    await pool.query(`
+      ALTER TABLE videos
+        ADD COLUMN IF NOT EXISTS progress INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS error_message TEXT,
+        ADD COLUMN IF NOT EXISTS step_timings JSONB,
+        ADD COLUMN IF NOT EXISTS metadata JSONB,
+        ADD COLUMN IF NOT EXISTS processing_started_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS processing_completed_at TIMESTAMP
+    `);
+    await pool.query(`
+      ALTER TABLE videos
+        ADD COLUMN IF NOT EXISTS title VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS description TEXT,
+        ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS category VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS thumbnail_candidates JSONB
+    `);
+    // Bytes written by processing, per kind (thumbnails, compressed, converted, hls, other) and in total
+    await pool.query(`
+      ALTER TABLE videos
+        ADD COLUMN IF NOT EXISTS output_size BIGINT DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS output_sizes JSONB
+    `);
+    // Encoding overrides chosen when the owner reprocessed the video (NULL = worker defaults)
+    await pool.query(`ALTER TABLE videos ADD COLUMN IF NOT EXISTS processing_settings JSONB`);
+    // upload-service finds the video behind every media request by its job id
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_videos_job_id ON videos (job_id)`);
+    // Subtitle tracks ({ language, label, source: upload|embedded, path }) and the burned-in copy
+    await pool.query(`
+      ALTER TABLE videos
+        ADD COLUMN IF NOT EXISTS subtitles JSONB DEFAULT '[]',
+        ADD COLUMN IF NOT EXISTS burned_path TEXT
+    `);
+    // WebVTT index of the seek-bar preview sprite sheets and the library's hover preview clip
+    await pool.query(`
+      ALTER TABLE videos
+        ADD COLUMN IF NOT EXISTS sprites_path TEXT,
+        ADD COLUMN IF NOT EXISTS preview_path TEXT
+    `);
+    // Audio: waveform image and the peaks JSON the player draws its scrubber from
+    await pool.query(`
+      ALTER TABLE videos
+        ADD COLUMN IF NOT EXISTS waveform_path TEXT,
+        ADD COLUMN IF NOT EXISTS peaks_path TEXT
+    `);
+    // Queue priority (JOB_PRIORITIES) and the time a scheduled job is held back until
+    await pool.query(`
+      ALTER TABLE videos
+        ADD COLUMN IF NOT EXISTS priority INTEGER DEFAULT 1,
+        ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMP
+    `);
+
+    // Files are addressed by storage key (uploads/..., outputs/...) rather than container path
+    await pool.query(`
+      UPDATE videos
+      SET file_path = regexp_replace(file_path, '^/app/', ''),
+          thumbnail_path = regexp_replace(thumbnail_path, '^/app/', ''),
+          compressed_path = regexp_replace(compressed_path, '^/app/', ''),
+          converted_path = regexp_replace(converted_path, '^/app/', ''),
+          hls_path = regexp_replace(hls_path, '^/app/', ''),
+          thumbnail_candidates = (
+            SELECT jsonb_agg(regexp_replace(candidate, '^/app/', ''))
+            FROM jsonb_array_elements_text(thumbnail_candidates) AS candidate
+          )
+      WHERE file_path LIKE '/app/%'
+    `);
+
+    // Full-text search over title, file name, tags and description ('simple': no stemming, works for Thai too)
+    await pool.query(`ALTER TABLE videos ADD COLUMN IF NOT EXISTS search_vector tsvector`);
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION videos_search_vector_update() RETURNS trigger AS $$
+      BEGIN
+        NEW.search_vector :=
+          setweight(to_tsvector('simple', COALESCE(NEW.title, '')), 'A') ||
+          setweight(to_tsvector('simple', COALESCE(NEW.original_name, '')), 'A') ||
+          setweight(to_tsvector('simple', array_to_string(COALESCE(NEW.tags, '{}'), ' ')), 'B') ||
+          setweight(to_tsvector('simple', COALESCE(NEW.description, '')), 'C');
+        RETURN NEW;
+      END
+      $$ LANGUAGE plpgsql
+    `);
+    await pool.query(`DROP TRIGGER IF EXISTS videos_search_vector_trigger ON videos`);
+    await pool.query(`
+      CREATE TRIGGER videos_search_vector_trigger
+      BEFORE INSERT OR UPDATE OF title, original_name, tags, description ON videos
+      FOR EACH ROW EXECUTE FUNCTION videos_search_vector_update()
+    `);
+    await pool.query(`UPDATE videos SET title = title WHERE search_vector IS NULL`);
+
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_videos_search ON videos USING GIN (search_vector)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_videos_tags ON videos USING GIN (tags)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_videos_user_created ON videos (user_id, created_at DESC, id DESC)`);
+
     console.log('✅ Database tables initialized successfully');
   } catch (error) {
     console.error('❌ Database initialization error:', error);
   }
 }
 
+// Denylist in Redis: access tokens carry their session id (sid) and stay valid for at
+// most ACCESS_TOKEN_TTL, so a revoked session only needs to be remembered that long.
+// Older tokens without a sid are cut off per user by issue time.
+async function isTokenRevoked(user) {
+  if (user.sid) {
+    return (await redisClient.exists(`session_revoked_${user.sid}`)) === 1;
+  }
+  const cutoff = await redisClient.get(`user_tokens_revoked_before_${user.userId}`);
+  return cutoff !== null && user.iat <= parseInt(cutoff, 10);
+}
+
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
-  console.log('🔐 Auth check - Headers:', req.headers.authorization);
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
   console.log('🔐 Extracted token:', token ? `${token.substring(0, 20)}...` : 'No token');
@@ -94,20 +347,254 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
       console.log('❌ JWT verify error:', err.message);
-      console.log('🔑 JWT_SECRET being used:', JWT_SECRET ? `${JWT_SECRET.substring(0, 10)}...` : 'undefined');
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
+      }
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
+
+    try {
+      if (await isTokenRevoked(user)) {
+        console.log('❌ Token revoked for user:', user.userId);
+        return res.status(401).json({ error: 'Token has been revoked', code: 'TOKEN_REVOKED' });
+      }
+    } catch (error) {
+      // Fail closed: without the denylist a logged-out token would still work
+      console.error('Token denylist check failed:', error);
+      return res.status(503).json({ error: 'Authentication temporarily unavailable' });
+    }
+
     console.log('✅ Token verified for user:', user.userId);
     req.user = user;
     next();
   });
 };
 
+// Role check for routes behind authenticateToken. Tokens from before roles existed count as uploader.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role || 'uploader')) {
+    return res.status(403).json({ error: 'Insufficient permissions', code: 'FORBIDDEN' });
+  }
+  next();
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, username: user.username, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Start a session for a freshly authenticated user and return the token pair
+async function createSession(user, req) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const result = await pool.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+     RETURNING id`,
+    [user.id, hashToken(refreshToken), req.get('user-agent') || null, req.ip, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return {
+    token: signAccessToken(user, result.rows[0].id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// Outstanding access tokens of a revoked session live at most ACCESS_TOKEN_TTL longer
+async function denySessionTokens(sessions) {
+  for (const session of sessions) {
+    await redisClient.set(`session_revoked_${session.id}`, '1', { EX: ACCESS_TOKEN_TTL });
+  }
+}
+
+// Revoke one session (or all of a user's sessions) and deny their outstanding access tokens
+async function revokeSessions(userId, sessionId = null) {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR id = $2)
+     RETURNING id`,
+    [userId, sessionId]
+  );
+
+  await denySessionTokens(result.rows);
+  return result.rowCount;
+}
+
+// Log a user out everywhere (optionally keeping the caller's own session), including
+// tokens issued before sessions existed
+async function revokeAllSessions(userId, keepSessionId = null) {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR id <> $2)
+     RETURNING id`,
+    [userId, keepSessionId]
+  );
+
+  await denySessionTokens(result.rows);
+  await redisClient.set(`user_tokens_revoked_before_${userId}`, String(Math.floor(Date.now() / 1000)), {
+    EX: LEGACY_TOKEN_TTL
+  });
+  return result.rowCount;
+}
+
+// Issue a single-use token; any earlier unused token for the same purpose stops working
+async function createAccountToken(userId, purpose, ttlMinutes, email = null) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await pool.query(
+    'UPDATE account_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+  await pool.query(
+    `INSERT INTO account_tokens (user_id, purpose, token_hash, email, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))`,
+    [userId, purpose, hashToken(token), email, ttlMinutes]
+  );
+  return token;
+}
+
+// Mark a token used and return its row, or null if it is unknown, used or expired
+async function consumeAccountToken(token, purpose) {
+  const result = await pool.query(
+    `UPDATE account_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id, email`,
+    [hashToken(token), purpose]
+  );
+  return result.rows[0] || null;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createAccountToken(user.id, 'verify_email', EMAIL_VERIFICATION_TTL_HOURS * 60, user.email);
+
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Verify your e-mail address',
+    text: `Hi ${user.display_name || user.username},\n\n` +
+      `Confirm your e-mail address by opening this link:\n${APP_URL}/login.html?verify=${token}\n\n` +
+      `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createAccountToken(user.id, 'reset_password', PASSWORD_RESET_TTL_MINUTES);
+
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.display_name || user.username},\n\n` +
+      `Someone asked to reset the password of your account. Choose a new one here:\n` +
+      `${APP_URL}/login.html?reset=${token}\n\n` +
+      `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If this wasn't you, you can ignore this e-mail.`
+  });
+}
+
+function serializeUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    emailVerified: Boolean(user.email_verified_at),
+    role: user.role,
+    displayName: user.display_name,
+    avatarUrl: user.avatar_url,
+    createdAt: user.created_at
+  };
+}
+
+// Every 429 looks the same: Retry-After header plus retryAfter (seconds) in the body
+function sendTooManyRequests(res, retryAfter, error = 'Too many requests, please try again later', code = 'RATE_LIMITED') {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, code, retryAfter });
+}
+
+// Fixed-window request counter in Redis, per IP unless keyFor says otherwise
+function rateLimit({ name, limit, windowSeconds, keyFor = (req) => req.ip }) {
+  return async (req, res, next) => {
+    const key = `rate_${name}_${keyFor(req)}`;
+
+    try {
+      const [count, , ttl] = await redisClient.multi()
+        .incr(key)
+        .expire(key, windowSeconds, 'NX')
+        .ttl(key)
+        .exec();
+
+      if (count > limit) {
+        console.log(`🚦 Rate limit ${name} hit by ${keyFor(req)}`);
+        return sendTooManyRequests(res, ttl > 0 ? ttl : windowSeconds);
+      }
+    } catch (error) {
+      // Fail open: a Redis hiccup should not lock everybody out
+      console.error('Rate limit check failed:', error);
+    }
+    next();
+  };
+}
+
+const loginLimiter = rateLimit({ name: 'login', limit: 30, windowSeconds: 15 * 60 });
+const registerLimiter = rateLimit({ name: 'register', limit: 10, windowSeconds: 60 * 60 });
+const refreshLimiter = rateLimit({ name: 'refresh', limit: 120, windowSeconds: 15 * 60 });
+const accountEmailLimiter = rateLimit({ name: 'account_email', limit: 5, windowSeconds: 60 * 60 });
+const accountTokenLimiter = rateLimit({ name: 'account_token', limit: 20, windowSeconds: 15 * 60 });
+const passwordCheckLimiter = rateLimit({
+  name: 'password_check',
+  limit: 10,
+  windowSeconds: 15 * 60,
+  keyFor: (req) => `user_${req.user.userId}`
+});
+const verificationResendLimiter = rateLimit({
+  name: 'verify_email_resend',
+  limit: 5,
+  windowSeconds: 60 * 60,
+  keyFor: (req) => `user_${req.user.userId}`
+});
+const sharePasswordLimiter = rateLimit({ name: 'share_password', limit: 30, windowSeconds: 15 * 60 });
+
+// Failed logins are counted per account (or per submitted name when no account matches,
+// so the answer doesn't reveal which names exist)
+function loginAccountKey(user, identifier) {
+  return user ? `user_${user.id}` : `name_${String(identifier).trim().toLowerCase()}`;
+}
+
+async function getLoginLockout(accountKey) {
+  const ttl = await redisClient.ttl(`login_lock_${accountKey}`);
+  return ttl > 0 ? ttl : 0;
+}
+
+// Count a failure; returns the lockout in seconds once the threshold is reached
+async function recordLoginFailure(accountKey) {
+  const [failures] = await redisClient.multi()
+    .incr(`login_failures_${accountKey}`)
+    .expire(`login_failures_${accountKey}`, LOGIN_FAILURE_WINDOW)
+    .exec();
+
+  if (failures < LOGIN_MAX_FAILURES) {
+    return 0;
+  }
+
+  const lockout = Math.min(LOGIN_LOCKOUT_BASE * 2 ** (failures - LOGIN_MAX_FAILURES), LOGIN_LOCKOUT_MAX);
+  await redisClient.set(`login_lock_${accountKey}`, '1', { EX: lockout });
+  console.log(`🔒 Login locked for ${accountKey} (${failures} failures, ${lockout}s)`);
+  return lockout;
+}
+
+async function clearLoginFailures(accountKey) {
+  await redisClient.del([`login_failures_${accountKey}`, `login_lock_${accountKey}`]);
+}
+
 // Register endpoint
-app.post('/register', [
+app.post('/register', registerLimiter, [
   body('username').isLength({ min: 3 }).matches(/^[a-zA-Z0-9_]+$/),
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
@@ -136,34 +623,32 @@ app.post('/register', [
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
     // Create user
+    const role = ADMIN_USERNAMES.includes(username) ? 'admin' : DEFAULT_USER_ROLE;
     const result = await pool.query(
-      `INSERT INTO users (username, email, password_hash, display_name) 
-       VALUES ($1, $2, $3, $4) RETURNING id, username, email, display_name, created_at`,
-      [username, email, passwordHash, displayName || username]
+      `INSERT INTO users (username, email, password_hash, display_name, role) 
+       VALUES ($1, $2, $3, $4, $5) RETURNING id, username, email, display_name, avatar_url, role, email_verified_at, created_at`,
+      [username, email, passwordHash, displayName || username, role]
     );
 
     const newUser = result.rows[0];
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: newUser.id, username: newUser.username },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session (access + refresh token)
+    const tokens = await createSession(newUser, req);
+
+    // The account works right away; the address is confirmed through the e-mailed link
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (error) {
+      console.error('Verification e-mail failed:', error);
+    }
 
     console.log(`👤 New user registered: ${username}`);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
-      user: {
-        id: newUser.id,
-        username: newUser.username,
-        email: newUser.email,
-        displayName: newUser.display_name,
-        createdAt: newUser.created_at
-      }
+      ...tokens,
+      user: serializeUser(newUser)
     });
 
   } catch (error) {
@@ -173,7 +658,7 @@ app.post('/register', [
 });
 
 // Login endpoint
-app.post('/login', [
+app.post('/login', loginLimiter, [
   body('username').notEmpty(),
   body('password').notEmpty()
 ], async (req, res) => {
@@ -187,43 +672,44 @@ app.post('/login', [
 
     // Find user by username or email
     const result = await pool.query(
-      'SELECT * FROM users WHERE username = $1 OR email = $1',
+      'SELECT * FROM users WHERE (username = $1 OR email = $1) AND deleted_at IS NULL',
       [username]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
     const user = result.rows[0];
+    const accountKey = loginAccountKey(user, username);
+
+    const lockout = await getLoginLockout(accountKey);
+    if (lockout > 0) {
+      return sendTooManyRequests(res, lockout, 'Too many failed login attempts, account temporarily locked', 'ACCOUNT_LOCKED');
+    }
 
     // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    const isValidPassword = user ? await bcrypt.compare(password, user.password_hash) : false;
     if (!isValidPassword) {
+      const newLockout = await recordLoginFailure(accountKey);
+      if (newLockout > 0) {
+        return sendTooManyRequests(res, newLockout, 'Too many failed login attempts, account temporarily locked', 'ACCOUNT_LOCKED');
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, username: user.username },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    await clearLoginFailures(accountKey);
+
+    if (user.suspended_at) {
+      return res.status(403).json({ error: 'Account suspended', code: 'ACCOUNT_SUSPENDED' });
+    }
+
+    // Start a session (access + refresh token)
+    const tokens = await createSession(user, req);
 
     console.log(`🔐 User logged in: ${user.username}`);
 
     res.json({
       success: true,
       message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        displayName: user.display_name,
-        avatarUrl: user.avatar_url,
-        createdAt: user.created_at
-      }
+      ...tokens,
+      user: serializeUser(user)
     });
 
   } catch (error) {
@@ -236,7 +722,8 @@ app.post('/login', [
 app.get('/profile', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT id, username, email, display_name, avatar_url, created_at FROM users WHERE id = $1',
+      `SELECT id, username, email, display_name, avatar_url, role, email_verified_at, created_at
+       FROM users WHERE id = $1 AND deleted_at IS NULL`,
       [req.user.userId]
     );
 
@@ -244,17 +731,9 @@ app.get('/profile', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const user = result.rows[0];
     res.json({
       success: true,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        displayName: user.display_name,
-        avatarUrl: user.avatar_url,
-        createdAt: user.created_at
-      }
+      user: serializeUser(result.rows[0])
     });
 
   } catch (error) {
@@ -263,71 +742,1743 @@ app.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
-// Verify token endpoint
-app.post('/verify', authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    valid: true,
-    user: req.user
-  });
-});
-
-// Get user's videos
-app.get('/videos', authenticateToken, async (req, res) => {
+// Update display name, avatar or e-mail (a new address has to be verified again)
+app.patch('/profile', authenticateToken, [
+  body('displayName').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('avatarUrl').optional({ values: 'null' }).isURL({ protocols: ['http', 'https'], require_protocol: true }),
+  body('email').optional().isEmail().normalizeEmail()
+], async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT id, original_name, file_name, file_size, mime_type, duration, 
-              width, height, thumbnail_path, compressed_path, converted_path, 
-              status, is_public, created_at, updated_at 
-       FROM videos WHERE user_id = $1 ORDER BY created_at DESC`,
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const current = await pool.query(
+      'SELECT email FROM users WHERE id = $1 AND deleted_at IS NULL',
       [req.user.userId]
     );
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { displayName, avatarUrl, email } = req.body;
+    const fields = [];
+    const values = [];
+
+    if (displayName !== undefined) {
+      values.push(displayName);
+      fields.push(`display_name = $${values.length}`);
+    }
+    if (avatarUrl !== undefined) {
+      values.push(avatarUrl || null);
+      fields.push(`avatar_url = $${values.length}`);
+    }
+
+    const emailChanged = email !== undefined && email !== current.rows[0].email;
+    if (emailChanged) {
+      const taken = await pool.query('SELECT id FROM users WHERE email = $1 AND id <> $2', [email, req.user.userId]);
+      if (taken.rows.length > 0) {
+        return res.status(400).json({ error: 'Email already in use' });
+      }
+      values.push(email);
+      fields.push(`email = $${values.length}`, 'email_verified_at = NULL');
+    }
+
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    values.push(req.user.userId);
+    const result = await pool.query(
+      `UPDATE users SET ${fields.join(', ')}, updated_at = NOW()
+       WHERE id = $${values.length}
+       RETURNING id, username, email, display_name, avatar_url, role, email_verified_at, created_at`,
+      values
+    );
+    const user = result.rows[0];
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Verification e-mail failed:', error);
+      }
+    }
 
     res.json({
       success: true,
-      videos: result.rows
+      message: emailChanged ? 'Profile updated, please verify your new e-mail address' : 'Profile updated',
+      user: serializeUser(user)
     });
 
   } catch (error) {
-    console.error('Videos fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch videos' });
+    console.error('Profile update error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
   }
 });
 
-// Delete user's video
-app.delete('/videos/:id', authenticateToken, async (req, res) => {
+// Change password; every other session is logged out
+app.post('/profile/password', authenticateToken, passwordCheckLimiter, [
+  body('currentPassword').notEmpty(),
+  body('newPassword').isLength({ min: 6 })
+], async (req, res) => {
   try {
-    const videoId = req.params.id;
-    
-    // ตรวจสอบว่าวิดีโอเป็นของ user นี้
-    const checkResult = await pool.query(
-      'SELECT file_name, compressed_path FROM videos WHERE id = $1 AND user_id = $2',
-      [videoId, req.user.userId]
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(
+      'SELECT password_hash FROM users WHERE id = $1 AND deleted_at IS NULL',
+      [req.user.userId]
     );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Video not found or access denied' 
-      });
+    const isValidPassword = await bcrypt.compare(req.body.currentPassword, result.rows[0].password_hash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
     }
 
-    // ลบ record จาก database
-    await pool.query('DELETE FROM videos WHERE id = $1', [videoId]);
+    const passwordHash = await bcrypt.hash(req.body.newPassword, 12);
+    await pool.query(
+      'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+      [passwordHash, req.user.userId]
+    );
+    await revokeAllSessions(req.user.userId, req.user.sid || null);
 
-    console.log(`🗑️ Video deleted: ${videoId} by user ${req.user.userId}`);
+    console.log(`🔑 Password changed for user: ${req.user.username}`);
 
-    res.json({
-      success: true,
-      message: 'Video deleted successfully'
-    });
+    res.json({ success: true, message: 'Password changed, other devices have been logged out' });
 
   } catch (error) {
-    console.error('Video delete error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to delete video' 
-    });
+    console.error('Password change error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Send a new verification link to the current address
+app.post('/profile/verify-email', authenticateToken, verificationResendLimiter, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, username, email, display_name, email_verified_at
+       FROM users WHERE id = $1 AND deleted_at IS NULL`,
+      [req.user.userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+    if (user.email_verified_at) {
+      return res.status(400).json({ error: 'Email already verified' });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ success: true, message: 'Verification e-mail sent' });
+
+  } catch (error) {
+    console.error('Verification e-mail error:', error);
+    res.status(500).json({ error: 'Failed to send verification e-mail' });
+  }
+});
+
+// Confirm an e-mail address from the link in the verification mail
+app.post('/verify-email', accountTokenLimiter, [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const accountToken = await consumeAccountToken(req.body.token, 'verify_email');
+    if (!accountToken) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    // Only counts if the address has not been changed since the mail was sent
+    const result = await pool.query(
+      `UPDATE users SET email_verified_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND email = $2 AND deleted_at IS NULL`,
+      [accountToken.user_id, accountToken.email]
+    );
+    if (result.rowCount === 0) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    res.json({ success: true, message: 'Email verified' });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Request a password reset link; the answer is the same whether or not the address exists
+app.post('/password/forgot', accountEmailLimiter, [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(
+      'SELECT id, username, email, display_name FROM users WHERE email = $1 AND deleted_at IS NULL',
+      [req.body.email]
+    );
+
+    if (result.rows.length > 0) {
+      try {
+        await sendPasswordResetEmail(result.rows[0]);
+      } catch (error) {
+        console.error('Password reset e-mail failed:', error);
+      }
+    }
+
+    res.json({ success: true, message: 'If the address belongs to an account, a reset link has been sent' });
+
+  } catch (error) {
+    console.error('Password forgot error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+// Set a new password from a reset link; all sessions are logged out
+app.post('/password/reset', accountTokenLimiter, [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const accountToken = await consumeAccountToken(req.body.token, 'reset_password');
+    if (!accountToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    const passwordHash = await bcrypt.hash(req.body.password, 12);
+    // Receiving the link also proves the address
+    const result = await pool.query(
+      `UPDATE users
+       SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+       WHERE id = $2 AND deleted_at IS NULL`,
+      [passwordHash, accountToken.user_id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    await revokeAllSessions(accountToken.user_id);
+    console.log(`🔑 Password reset for user: ${accountToken.user_id}`);
+
+    res.json({ success: true, message: 'Password has been reset, please log in' });
+
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Delete the account. Every video goes through the normal purge (files, outputs, queue
+// entries, row); the processing worker removes the user row once nothing is left.
+// Name and e-mail are released right away (replaced by values registration can't produce).
+app.delete('/profile', authenticateToken, passwordCheckLimiter, [
+  body('password').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(
+      'SELECT password_hash FROM users WHERE id = $1 AND deleted_at IS NULL',
+      [req.user.userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isValidPassword = await bcrypt.compare(req.body.password, result.rows[0].password_hash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    await pool.query(
+      `UPDATE users
+       SET deleted_at = NOW(), username = 'deleted-' || id, email = '<deleted-' || id || '>',
+           password_hash = '!', display_name = NULL, avatar_url = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [req.user.userId]
+    );
+
+    const videos = await pool.query(
+      `UPDATE videos
+       SET deleted_at = COALESCE(deleted_at, NOW()), purge_at = NOW(), is_public = false, updated_at = NOW()
+       WHERE user_id = $1 RETURNING id`,
+      [req.user.userId]
+    );
+    for (const video of videos.rows) {
+      await removeVideoJobs(redisClient, req.user.userId, video.id);
+    }
+
+    await pool.query('DELETE FROM share_links WHERE video_id IN (SELECT id FROM videos WHERE user_id = $1)', [req.user.userId]);
+    await pool.query('DELETE FROM account_tokens WHERE user_id = $1', [req.user.userId]);
+    await revokeAllSessions(req.user.userId);
+
+    console.log(`🗑️ Account deleted: ${req.user.username} (${videos.rowCount} videos scheduled for purge)`);
+
+    res.json({ success: true, message: 'Account deleted' });
+
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// Verify token endpoint
+app.post('/verify', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    valid: true,
+    user: req.user
+  });
+});
+
+// Exchange a refresh token for a new access token; the refresh token is rotated on every use
+app.post('/refresh', refreshLimiter, [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokenHash = hashToken(req.body.refreshToken);
+    const result = await pool.query(
+      `SELECT s.id, s.user_id, s.refresh_token_hash, s.revoked_at,
+              s.expires_at < NOW() AS expired,
+              s.last_used_at > NOW() - make_interval(secs => $2) AS recently_rotated,
+              u.username, u.role, u.suspended_at IS NOT NULL AS suspended
+       FROM sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.refresh_token_hash = $1 OR s.previous_token_hash = $1`,
+      [tokenHash, REFRESH_REUSE_GRACE]
+    );
+
+    const session = result.rows[0];
+    if (!session || session.revoked_at || session.expired) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    if (session.suspended) {
+      return res.status(403).json({ error: 'Account suspended', code: 'ACCOUNT_SUSPENDED' });
+    }
+
+    if (session.refresh_token_hash !== tokenHash) {
+      // An already rotated token: two tabs racing is harmless, anything later means it leaked
+      if (!session.recently_rotated) {
+        await revokeSessions(session.user_id, session.id);
+        console.log(`⚠️ Refresh token reuse detected, session ${session.id} revoked`);
+      }
+      return res.status(401).json({ error: 'Refresh token already used' });
+    }
+
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const rotated = await pool.query(
+      `UPDATE sessions
+       SET refresh_token_hash = $1, previous_token_hash = $2, last_used_at = NOW(),
+           expires_at = NOW() + make_interval(days => $3)
+       WHERE id = $4 AND refresh_token_hash = $2 AND revoked_at IS NULL`,
+      [hashToken(refreshToken), tokenHash, REFRESH_TOKEN_TTL_DAYS, session.id]
+    );
+
+    // Lost a race with a concurrent refresh of the same token
+    if (rotated.rowCount === 0) {
+      return res.status(401).json({ error: 'Refresh token already used' });
+    }
+
+    res.json({
+      success: true,
+      token: signAccessToken({ id: session.user_id, username: session.username, role: session.role }, session.id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Log out the current session
+app.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await revokeSessions(req.user.userId, req.user.sid);
+    } else {
+      // Pre-session token: it can only be cut off by issue time
+      await redisClient.set(`user_tokens_revoked_before_${req.user.userId}`, String(req.user.iat), {
+        EX: LEGACY_TOKEN_TTL
+      });
+    }
+
+    res.json({ success: true, message: 'Logged out' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Log out all devices
+app.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.userId);
+    console.log(`🔐 User ${req.user.username} logged out of ${revoked} sessions`);
+
+    res.json({ success: true, message: 'Logged out of all devices', revoked });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out of all devices' });
+  }
+});
+
+// Active sessions of the current user
+app.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [req.user.userId]
+    );
+
+    res.json({
+      success: true,
+      sessions: result.rows.map(session => ({
+        id: session.id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === req.user.sid
+      }))
+    });
+
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Revoke one session (e.g. a lost device)
+app.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    const revoked = await revokeSessions(req.user.userId, sessionId);
+    if (revoked === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ success: true, message: 'Session revoked' });
+
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Signed base path that grants access to every output of one video until it expires.
+// The original upload needs its own "original" scoped signature (owners only).
+function signMediaBase(videoId, ttl = MEDIA_URL_TTL, scope = '') {
+  const expires = Math.ceil((Date.now() / 1000 + ttl) / MEDIA_URL_STEP) * MEDIA_URL_STEP;
+  const signature = crypto.createHmac('sha256', MEDIA_URL_SECRET)
+    .update(`${videoId}:${expires}${scope ? `:${scope}` : ''}`)
+    .digest('base64url');
+
+  return { base: `/media/${videoId}/${expires}/${signature}`, expires };
+}
+
+// Output paths are storage keys (outputs/...; older rows: /app/outputs/...); media URLs use the part below outputs/
+function outputFile(outputPath) {
+  return outputPath ? outputPath.replace(/^(.*?\/)?outputs\//, '') : null;
+}
+
+function buildMediaUrls(video, ttl, { includeOriginal = true } = {}) {
+  const { base, expires } = signMediaBase(video.id, ttl);
+  const url = (file) => file ? `${base}/${file}` : null;
+
+  return {
+    expiresAt: new Date(expires * 1000).toISOString(),
+    original: includeOriginal ? `${signMediaBase(video.id, ttl, 'original').base}/original` : null,
+    thumbnail: url(outputFile(video.thumbnail_path)),
+    compressed: url(outputFile(video.compressed_path)),
+    converted: url(outputFile(video.converted_path)),
+    hls: url(outputFile(video.hls_path)),
+    burned: url(outputFile(video.burned_path)),
+    sprites: url(outputFile(video.sprites_path)),
+    preview: url(outputFile(video.preview_path)),
+    waveform: url(outputFile(video.waveform_path)),
+    peaks: url(outputFile(video.peaks_path)),
+    thumbnailCandidates: (video.thumbnail_candidates || []).map(file => url(outputFile(file))),
+    subtitles: (video.subtitles || []).map(({ path, ...track }) => ({ ...track, url: url(outputFile(path)) }))
+  };
+}
+
+// Library listing: sort key expression, direction and the SQL type its cursor value is cast back to
+const VIDEO_SORTS = {
+  newest: { expr: 'created_at', dir: 'DESC', type: 'timestamp' },
+  oldest: { expr: 'created_at', dir: 'ASC', type: 'timestamp' },
+  name: { expr: 'lower(COALESCE(title, original_name))', dir: 'ASC', type: 'text' },
+  size: { expr: 'COALESCE(file_size, 0)', dir: 'DESC', type: 'bigint' },
+  duration: { expr: 'COALESCE(duration, 0)', dir: 'DESC', type: 'float8' },
+  relevance: { expr: "COALESCE(ts_rank(search_vector, websearch_to_tsquery('simple', $2)), 0)", dir: 'DESC', type: 'real' }
+};
+const VIDEO_STATUSES = ['queued', 'processing', 'paused', 'completed', 'failed', 'cancelled'];
+const VIDEO_PAGE_SIZE = 50;
+const VIDEO_MAX_PAGE_SIZE = 200;
+
+// Cursors are opaque to clients: the last row's sort key and id
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify({ s: sort, k: row.sort_key, id: row.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(decoded.id) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// WHERE clause shared by the listing and its total count; $1 is the user, $2 the search text
+function buildVideoFilters(filters, values) {
+  const conditions = ['user_id = $1', 'deleted_at IS NULL'];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  // Full-text match, plus a substring match so partial words and Thai titles (no spaces) are found
+  conditions.push(`($2::text IS NULL
+    OR search_vector @@ websearch_to_tsquery('simple', $2)
+    OR strpos(lower(COALESCE(title, '') || ' ' || original_name), lower($2)) > 0)`);
+
+  if (filters.status) {
+    conditions.push(`status = ${param(filters.status)}`);
+  }
+  if (filters.type) {
+    conditions.push(`mime_type LIKE ${param(`${filters.type}/%`)}`);
+  }
+  if (filters.category) {
+    conditions.push(`category = ${param(filters.category)}`);
+  }
+  if (filters.tag) {
+    conditions.push(`tags @> ARRAY[${param(filters.tag.toLowerCase())}]::text[]`);
+  }
+  if (filters.visibility) {
+    conditions.push(`is_public = ${param(filters.visibility === 'public')}`);
+  }
+  if (filters.from) {
+    conditions.push(`created_at >= ${param(filters.from)}::date`);
+  }
+  if (filters.to) {
+    conditions.push(`created_at < ${param(filters.to)}::date + 1`);
+  }
+  if (filters.minDuration !== undefined) {
+    conditions.push(`duration >= ${param(filters.minDuration)}`);
+  }
+  if (filters.maxDuration !== undefined) {
+    conditions.push(`duration <= ${param(filters.maxDuration)}`);
+  }
+  if (filters.minHeight !== undefined) {
+    conditions.push(`height >= ${param(filters.minHeight)}`);
+  }
+  if (filters.maxHeight !== undefined) {
+    conditions.push(`height <= ${param(filters.maxHeight)}`);
+  }
+
+  return conditions;
+}
+
+// Get user's videos: search, filters, sort and cursor pagination
+app.get('/videos', authenticateToken, [
+  query('q').optional().isString().trim().isLength({ max: 200 }),
+  query('status').optional().isIn(VIDEO_STATUSES),
+  query('type').optional().isIn(['video', 'audio']),
+  query('category').optional().isIn(VIDEO_CATEGORIES),
+  query('tag').optional().isString().trim().isLength({ min: 1, max: 50 }),
+  query('visibility').optional().isIn(['public', 'private']),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query(['minDuration', 'maxDuration']).optional().isFloat({ min: 0 }).toFloat(),
+  query(['minHeight', 'maxHeight']).optional().isInt({ min: 0 }).toInt(),
+  query('sort').optional().isIn(Object.keys(VIDEO_SORTS)),
+  query('limit').optional().isInt({ min: 1, max: VIDEO_MAX_PAGE_SIZE }).toInt(),
+  query('cursor').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const searchText = req.query.q || null;
+    const sortName = req.query.sort || (searchText ? 'relevance' : 'newest');
+    if (sortName === 'relevance' && !searchText) {
+      return res.status(400).json({ error: 'Sorting by relevance needs a search query' });
+    }
+
+    const sort = VIDEO_SORTS[sortName];
+    const limit = req.query.limit || VIDEO_PAGE_SIZE;
+    const values = [req.user.userId, searchText];
+    const conditions = buildVideoFilters(req.query, values);
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM videos WHERE ${conditions.join(' AND ')}`,
+      values
+    );
+
+    // Keyset pagination: continue after the last row of the previous page
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || cursor.s !== sortName) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+
+      values.push(cursor.k, cursor.id);
+      const comparison = sort.dir === 'DESC' ? '<' : '>';
+      conditions.push(`(${sort.expr}, id) ${comparison} ($${values.length - 1}::${sort.type}, $${values.length})`);
+    }
+
+    values.push(limit + 1);
+
+    const result = await pool.query(
+      `SELECT id, original_name, file_name, file_size, mime_type, duration, 
+              width, height, thumbnail_path, compressed_path, converted_path, 
+              hls_path, burned_path, sprites_path, preview_path, waveform_path, peaks_path, subtitles,
+              status, progress, attempts, error_message,
+              processing_started_at, processing_completed_at, job_id, processing_settings,
+              priority, scheduled_for, title, description, tags, category,
+              is_public, created_at, updated_at,
+              (${sort.expr})::text AS sort_key
+       FROM videos WHERE ${conditions.join(' AND ')}
+       ORDER BY ${sort.expr} ${sort.dir}, id ${sort.dir}
+       LIMIT $${values.length}`,
+      values
+    );
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+
+    res.json({
+      success: true,
+      videos: rows.map(({ sort_key, ...video }) => ({ ...video, media_urls: buildMediaUrls(video) })),
+      total: countResult.rows[0].total,
+      nextCursor: hasMore ? encodeCursor(sortName, rows[rows.length - 1]) : null
+    });
+
+  } catch (error) {
+    console.error('Videos fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch videos' });
+  }
+});
+
+// Library totals for dashboards (counts per status and storage used)
+app.get('/videos/stats', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT status, COUNT(*)::int AS count, COALESCE(SUM(file_size), 0)::bigint AS size
+       FROM videos WHERE user_id = $1 AND deleted_at IS NULL
+       GROUP BY status`,
+      [req.user.userId]
+    );
+
+    const byStatus = Object.fromEntries(VIDEO_STATUSES.map(status => [status, 0]));
+    let total = 0;
+    let totalSize = 0;
+
+    for (const row of result.rows) {
+      byStatus[row.status] = row.count;
+      total += row.count;
+      totalSize += Number(row.size);
+    }
+
+    res.json({
+      success: true,
+      stats: { total, totalSize, byStatus }
+    });
+
+  } catch (error) {
+    console.error('Video stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch video stats' });
+  }
+});
+
+// Storage used by a user's videos, trash included (files stay on disk until purged)
+const STORAGE_KINDS = ['thumbnails', 'compressed', 'converted', 'hls', 'subtitles', 'other'];
+
+async function getStorageUsage(userId) {
+  const result = await pool.query(
+    `SELECT COUNT(v.id)::int AS files,
+            COALESCE(SUM(v.file_size), 0)::bigint AS originals,
+            ${STORAGE_KINDS.map(kind => `COALESCE(SUM((v.output_sizes->>'${kind}')::bigint), 0)::bigint AS ${kind}`).join(',\n            ')},
+            COALESCE(SUM(COALESCE(v.file_size, 0) + COALESCE(v.output_size, 0))
+              FILTER (WHERE v.mime_type LIKE 'audio/%'), 0)::bigint AS audio,
+            COALESCE(SUM(COALESCE(v.file_size, 0) + COALESCE(v.output_size, 0))
+              FILTER (WHERE v.deleted_at IS NOT NULL), 0)::bigint AS trash,
+            COALESCE(SUM(COALESCE(v.file_size, 0) + COALESCE(v.output_size, 0)), 0)::bigint AS used,
+            COALESCE(u.storage_quota_mb, $2)::int AS quota_mb
+     FROM users u
+     LEFT JOIN videos v ON v.user_id = u.id AND (v.purge_at IS NULL OR v.purge_at > NOW())
+     WHERE u.id = $1
+     GROUP BY u.id`,
+    [userId, STORAGE_QUOTA_MB]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+
+  const used = Number(row.used);
+  const quota = row.quota_mb > 0 ? row.quota_mb * 1024 * 1024 : null;
+  const percent = quota ? Math.min(100, Math.round((used / quota) * 1000) / 10) : 0;
+
+  return {
+    used,
+    quota,
+    remaining: quota ? Math.max(0, quota - used) : null,
+    percent,
+    warning: Boolean(quota) && percent >= STORAGE_WARNING_PERCENT,
+    exceeded: Boolean(quota) && used >= quota,
+    files: row.files,
+    breakdown: {
+      originals: Number(row.originals),
+      ...Object.fromEntries(STORAGE_KINDS.map(kind => [kind, Number(row[kind])]))
+    },
+    mediaTypes: { video: used - Number(row.audio), audio: Number(row.audio) },
+    trash: Number(row.trash)
+  };
+}
+
+// Storage used against the quota, broken down by file kind and media type
+app.get('/usage', authenticateToken, async (req, res) => {
+  try {
+    const usage = await getStorageUsage(req.user.userId);
+    if (!usage) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, usage, warningPercent: STORAGE_WARNING_PERCENT });
+
+  } catch (error) {
+    console.error('Usage error:', error);
+    res.status(500).json({ error: 'Failed to fetch storage usage' });
+  }
+});
+
+// List user's deleted videos (trash)
+app.get('/videos/trash', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, original_name, file_name, file_size, mime_type, duration,
+              thumbnail_path, status, deleted_at, purge_at, created_at
+       FROM videos WHERE user_id = $1 AND deleted_at IS NOT NULL AND purge_at > NOW()
+       ORDER BY deleted_at DESC`,
+      [req.user.userId]
+    );
+
+    res.json({
+      success: true,
+      retentionDays: TRASH_RETENTION_DAYS,
+      videos: result.rows
+    });
+
+  } catch (error) {
+    console.error('Trash fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// Get one of the user's videos with its processing details (step timings, ffprobe metadata)
+app.get('/videos/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, original_name, file_name, file_size, mime_type, duration,
+              width, height, thumbnail_path, compressed_path, converted_path,
+              hls_path, burned_path, sprites_path, preview_path, waveform_path, peaks_path, subtitles,
+              job_id, status, progress, attempts, error_message, step_timings,
+              metadata, processing_started_at, processing_completed_at,
+              title, description, tags, category, thumbnail_candidates,
+              is_public, created_at, updated_at
+       FROM videos WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL`,
+      [req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found or access denied' });
+    }
+
+    const video = result.rows[0];
+
+    // Long enough to play the whole file through once
+    const ttl = Math.max(MEDIA_URL_TTL, Math.ceil((video.duration || 0) * 2));
+
+    res.json({
+      success: true,
+      video: { ...video, media_urls: buildMediaUrls(video, ttl) }
+    });
+
+  } catch (error) {
+    console.error('Video fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch video' });
+  }
+});
+
+// Tags are stored lowercase, trimmed and without duplicates
+function normalizeTags(tags) {
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+const tagListValidators = (field) => [
+  body(field).optional().isArray({ max: MAX_TAGS }),
+  body(`${field}.*`).isString().trim().isLength({ min: 1, max: 50 })
+];
+
+// Update a video's metadata: title, description, tags, category, visibility, chosen thumbnail
+app.patch('/videos/:id', authenticateToken, [
+  body('title').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }),
+  body('description').optional({ values: 'null' }).isString().isLength({ max: 5000 }),
+  ...tagListValidators('tags'),
+  body('category').optional({ values: 'null' }).isIn(VIDEO_CATEGORIES),
+  body('isPublic').optional().isBoolean(),
+  body('thumbnailCandidate').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await pool.query(
+      'SELECT id, thumbnail_candidates FROM videos WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.id, req.user.userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found or access denied' });
+    }
+
+    const { title, description, tags, category, isPublic, thumbnailCandidate } = req.body;
+    const fields = [];
+    const values = [];
+    let valueIndex = 1;
+
+    // An empty title falls back to the original file name
+    if (title !== undefined) {
+      fields.push(`title = $${valueIndex++}`);
+      values.push(title || null);
+    }
+    if (description !== undefined) {
+      fields.push(`description = $${valueIndex++}`);
+      values.push(description || null);
+    }
+    if (tags !== undefined) {
+      fields.push(`tags = $${valueIndex++}`);
+      values.push(normalizeTags(tags));
+    }
+    if (category !== undefined) {
+      fields.push(`category = $${valueIndex++}`);
+      values.push(category);
+    }
+    if (isPublic !== undefined) {
+      fields.push(`is_public = $${valueIndex++}`);
+      values.push(isPublic);
+    }
+    if (thumbnailCandidate !== undefined) {
+      const candidates = existing.rows[0].thumbnail_candidates || [];
+      const candidate = candidates[Number(thumbnailCandidate)];
+
+      if (!candidate) {
+        return res.status(400).json({ error: 'Unknown thumbnail candidate' });
+      }
+
+      fields.push(`thumbnail_path = $${valueIndex++}`);
+      values.push(candidate);
+    }
+
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    fields.push('updated_at = NOW()');
+    values.push(req.params.id);
+
+    const result = await pool.query(
+      `UPDATE videos SET ${fields.join(', ')} WHERE id = $${valueIndex}
+       RETURNING id, original_name, title, description, tags, category, is_public, thumbnail_path, updated_at`,
+      values
+    );
+
+    res.json({
+      success: true,
+      video: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Video update error:', error);
+    res.status(500).json({ error: 'Failed to update video' });
+  }
+});
+
+// Bulk edit: add/remove tags, set category or visibility on several videos at once
+app.patch('/videos', authenticateToken, [
+  body('ids').isArray({ min: 1, max: 500 }),
+  body('ids.*').isInt({ min: 1 }),
+  ...tagListValidators('addTags'),
+  ...tagListValidators('removeTags'),
+  body('category').optional({ values: 'null' }).isIn(VIDEO_CATEGORIES),
+  body('isPublic').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { ids, addTags, removeTags, category, isPublic } = req.body;
+    const fields = [];
+    const values = [ids.map(Number), req.user.userId];
+    let valueIndex = 3;
+
+    if ((addTags && addTags.length) || (removeTags && removeTags.length)) {
+      fields.push(`tags = ARRAY(
+        SELECT t FROM (SELECT DISTINCT unnest(COALESCE(tags, '{}') || $${valueIndex++}::text[]) AS t) merged
+        WHERE t <> ALL($${valueIndex++}::text[])
+        ORDER BY t
+      )`);
+      values.push(normalizeTags(addTags || []), normalizeTags(removeTags || []));
+    }
+    if (category !== undefined) {
+      fields.push(`category = $${valueIndex++}`);
+      values.push(category);
+    }
+    if (isPublic !== undefined) {
+      fields.push(`is_public = $${valueIndex++}`);
+      values.push(isPublic);
+    }
+
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const result = await pool.query(
+      `UPDATE videos SET ${fields.join(', ')}, updated_at = NOW()
+       WHERE id = ANY($1::int[]) AND user_id = $2 AND deleted_at IS NULL
+       RETURNING id`,
+      values
+    );
+
+    res.json({
+      success: true,
+      updated: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Bulk update error:', error);
+    res.status(500).json({ error: 'Failed to update videos' });
+  }
+});
+
+// Delete user's video (moves to trash; ?permanent=true purges on the next worker sweep)
+app.delete('/videos/:id', authenticateToken, async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    const permanent = req.query.permanent === 'true';
+    
+    // ตรวจสอบว่าวิดีโอเป็นของ user นี้
+    const checkResult = await pool.query(
+      'SELECT id, deleted_at FROM videos WHERE id = $1 AND user_id = $2',
+      [videoId, req.user.userId]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Video not found or access denied' 
+      });
+    }
+
+    // Files, job keys and the row itself are removed by the processing worker once purge_at passes
+    const result = await pool.query(
+      `UPDATE videos
+       SET deleted_at = COALESCE(deleted_at, NOW()),
+           purge_at = NOW() + make_interval(days => $2),
+           updated_at = NOW()
+       WHERE id = $1 RETURNING deleted_at, purge_at`,
+      [videoId, permanent ? 0 : TRASH_RETENTION_DAYS]
+    );
+
+    const droppedJobs = await removeVideoJobs(redisClient, req.user.userId, videoId);
+
+    console.log(`🗑️ Video ${permanent ? 'deleted' : 'moved to trash'}: ${videoId} by user ${req.user.userId}` +
+      (droppedJobs ? ` (${droppedJobs} queued job removed)` : ''));
+
+    res.json({
+      success: true,
+      message: permanent ? 'Video deleted permanently' : 'Video moved to trash',
+      deletedAt: result.rows[0].deleted_at,
+      purgeAt: result.rows[0].purge_at
+    });
+
+  } catch (error) {
+    console.error('Video delete error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to delete video' 
+    });
+  }
+});
+
+// Restore a video from trash
+app.post('/videos/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE videos SET deleted_at = NULL, purge_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL AND purge_at > NOW()
+       RETURNING *`,
+      [req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found in trash'
+      });
+    }
+
+    const video = result.rows[0];
+
+    // Its queue entry was dropped on delete, so unprocessed uploads go back on the queue
+    if (video.status === 'queued' && video.job_id) {
+      await enqueueJob(redisClient, buildJobFromVideo(video));
+    }
+
+    console.log(`♻️ Video restored: ${video.id} by user ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Video restored successfully'
+    });
+
+  } catch (error) {
+    console.error('Video restore error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore video'
+    });
+  }
+});
+
+// Make a video public (listed in the feed, playable without login) or private again
+app.patch('/videos/:id/visibility', authenticateToken, [
+  body('isPublic').isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(
+      `UPDATE videos SET is_public = $3, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+       RETURNING id, is_public`,
+      [req.params.id, req.user.userId, req.body.isPublic]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found or access denied' });
+    }
+
+    res.json({
+      success: true,
+      video: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Visibility update error:', error);
+    res.status(500).json({ error: 'Failed to update visibility' });
+  }
+});
+
+function serializeShareLink(link) {
+  return {
+    id: link.id,
+    token: link.token,
+    hasPassword: Boolean(link.password_hash),
+    expiresAt: link.expires_at,
+    revokedAt: link.revoked_at,
+    viewCount: link.view_count,
+    createdAt: link.created_at
+  };
+}
+
+// Create an unlisted share link, optionally password protected and/or expiring
+app.post('/videos/:id/shares', authenticateToken, [
+  body('password').optional({ values: 'falsy' }).isLength({ min: 4, max: 100 }),
+  body('expiresInHours').optional({ values: 'null' }).isInt({ min: 1, max: 24 * 365 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const videoResult = await pool.query(
+      'SELECT id FROM videos WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [req.params.id, req.user.userId]
+    );
+
+    if (videoResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found or access denied' });
+    }
+
+    const { password, expiresInHours } = req.body;
+    const passwordHash = password ? await bcrypt.hash(password, 12) : null;
+
+    const result = await pool.query(
+      `INSERT INTO share_links (video_id, token, password_hash, expires_at)
+       VALUES ($1, $2, $3, CASE WHEN $4::int IS NULL THEN NULL ELSE NOW() + make_interval(hours => $4::int) END)
+       RETURNING *`,
+      [req.params.id, crypto.randomBytes(24).toString('base64url'), passwordHash, expiresInHours || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      share: serializeShareLink(result.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Share link create error:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+// List a video's share links
+app.get('/videos/:id/shares', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT s.* FROM share_links s
+       JOIN videos v ON v.id = s.video_id
+       WHERE s.video_id = $1 AND v.user_id = $2
+       ORDER BY s.created_at DESC`,
+      [req.params.id, req.user.userId]
+    );
+
+    res.json({
+      success: true,
+      shares: result.rows.map(serializeShareLink)
+    });
+
+  } catch (error) {
+    console.error('Share links fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch share links' });
+  }
+});
+
+// Revoke a share link (kept for the owner's history, no longer opens)
+app.delete('/videos/:id/shares/:shareId', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE share_links s SET revoked_at = COALESCE(s.revoked_at, NOW())
+       FROM videos v
+       WHERE s.id = $1 AND s.video_id = $2 AND v.id = s.video_id AND v.user_id = $3
+       RETURNING s.id`,
+      [req.params.shareId, req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link revoked'
+    });
+
+  } catch (error) {
+    console.error('Share link revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+// Fields a viewer who is not the owner gets to see
+const PUBLIC_VIDEO_COLUMNS = `v.id, v.original_name, v.title, v.description, v.tags, v.category,
+  v.file_size, v.mime_type, v.duration, v.width, v.height,
+  v.thumbnail_path, v.compressed_path, v.converted_path, v.hls_path, v.burned_path, v.sprites_path, v.preview_path,
+  v.waveform_path, v.peaks_path, v.subtitles, v.metadata->'tags' AS media_tags,
+  v.file_name, v.status,
+  v.is_public, v.created_at, u.username, u.display_name`;
+
+// Signed URLs for a viewer; the original upload stays private to its owner
+function presentPublicVideo(video) {
+  const ttl = Math.max(MEDIA_URL_TTL, Math.ceil((video.duration || 0) * 2));
+  const { file_name, ...rest } = video;
+
+  return {
+    ...rest,
+    media_urls: buildMediaUrls(video, ttl, { includeOriginal: false })
+  };
+}
+
+// Public feed of completed public videos (no login required)
+app.get('/public/videos', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 24, 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const result = await pool.query(
+      `SELECT ${PUBLIC_VIDEO_COLUMNS}
+       FROM videos v JOIN users u ON u.id = v.user_id
+       WHERE v.is_public = true AND v.status = 'completed' AND v.deleted_at IS NULL
+       ORDER BY v.created_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    res.json({
+      success: true,
+      videos: result.rows.map(presentPublicVideo),
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    console.error('Public feed error:', error);
+    res.status(500).json({ error: 'Failed to fetch public videos' });
+  }
+});
+
+// A single public video (no login required)
+app.get('/public/videos/:id', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_VIDEO_COLUMNS}
+       FROM videos v JOIN users u ON u.id = v.user_id
+       WHERE v.id = $1 AND v.is_public = true AND v.deleted_at IS NULL`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    res.json({
+      success: true,
+      video: presentPublicVideo(result.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Public video fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch video' });
+  }
+});
+
+// Open a share link; password-protected links need { password } in a POST body
+async function openShareLink(req, res) {
+  try {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_VIDEO_COLUMNS}, s.id AS share_id, s.password_hash AS share_password_hash
+       FROM share_links s
+       JOIN videos v ON v.id = s.video_id
+       JOIN users u ON u.id = v.user_id
+       WHERE s.token = $1 AND s.revoked_at IS NULL
+         AND (s.expires_at IS NULL OR s.expires_at > NOW())
+         AND v.deleted_at IS NULL`,
+      [req.params.token]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Share link is invalid, revoked or expired' });
+    }
+
+    const { share_id, share_password_hash, ...video } = result.rows[0];
+
+    if (share_password_hash) {
+      const password = req.body && req.body.password;
+
+      if (!password) {
+        return res.status(401).json({ error: 'Password required', requiresPassword: true });
+      }
+
+      if (!(await bcrypt.compare(password, share_password_hash))) {
+        return res.status(403).json({ error: 'Incorrect password', requiresPassword: true });
+      }
+    }
+
+    await pool.query('UPDATE share_links SET view_count = view_count + 1 WHERE id = $1', [share_id]);
+
+    res.json({
+      success: true,
+      video: presentPublicVideo(video)
+    });
+
+  } catch (error) {
+    console.error('Share link open error:', error);
+    res.status(500).json({ error: 'Failed to open share link' });
+  }
+}
+
+app.get('/share/:token', openShareLink);
+app.post('/share/:token', sharePasswordLimiter, openShareLink);
+
+// Admin API: every route needs the admin role
+const requireAdmin = [authenticateToken, requireRole('admin')];
+
+const ADMIN_PAGE_SIZE = 50;
+const ADMIN_MAX_PAGE_SIZE = 200;
+const JOB_STATUS_TTL = 7 * 24 * 60 * 60; // same as the worker
+
+const adminPageValidators = [
+  query('limit').optional().isInt({ min: 1, max: ADMIN_MAX_PAGE_SIZE }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  query('q').optional().isString().trim()
+];
+
+// All users with their library size; ?q= searches name and e-mail
+app.get('/admin/users', requireAdmin, [
+  ...adminPageValidators,
+  query('role').optional().isIn(USER_ROLES),
+  query('status').optional().isIn(['active', 'suspended'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, role, status } = req.query;
+    const limit = req.query.limit || ADMIN_PAGE_SIZE;
+    const offset = req.query.offset || 0;
+    const filters = `u.deleted_at IS NULL
+      AND ($1::text IS NULL OR strpos(lower(u.username || ' ' || u.email || ' ' || COALESCE(u.display_name, '')), lower($1)) > 0)
+      AND ($2::text IS NULL OR u.role = $2)
+      AND ($3::text IS NULL OR ($3 = 'suspended') = (u.suspended_at IS NOT NULL))`;
+    const values = [q || null, role || null, status || null];
+
+    const [result, count] = await Promise.all([
+      pool.query(
+        `SELECT u.id, u.username, u.email, u.display_name, u.role, u.suspended_at,
+                u.email_verified_at, u.created_at, u.storage_quota_mb, u.job_priority,
+                COUNT(v.id) FILTER (WHERE v.deleted_at IS NULL)::int AS video_count,
+                COALESCE(SUM(COALESCE(v.file_size, 0) + COALESCE(v.output_size, 0)), 0)::bigint AS total_size,
+                (SELECT MAX(s.last_used_at) FROM sessions s WHERE s.user_id = u.id) AS last_active_at
+         FROM users u
+         LEFT JOIN videos v ON v.user_id = u.id AND (v.purge_at IS NULL OR v.purge_at > NOW())
+         WHERE ${filters}
+         GROUP BY u.id
+         ORDER BY u.created_at DESC, u.id DESC
+         LIMIT $4 OFFSET $5`,
+        [...values, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM users u WHERE ${filters}`, values)
+    ]);
+
+    res.json({ success: true, users: result.rows, total: count.rows[0].total, defaultQuotaMb: STORAGE_QUOTA_MB });
+
+  } catch (error) {
+    console.error('Admin users fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Change a user's role and/or suspend them; their sessions are revoked so it applies at once.
+// storageQuotaMb and jobPriority (standing queue priority, e.g. for premium accounts) take null
+// to go back to the defaults.
+app.patch('/admin/users/:id', requireAdmin, [
+  body('role').optional().isIn(USER_ROLES),
+  body('suspended').optional().isBoolean().toBoolean(),
+  body('storageQuotaMb').optional({ values: 'null' }).isInt({ min: 0 }).toInt(),
+  body('jobPriority').optional({ values: 'null' }).isIn(USER_JOB_PRIORITIES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = parseInt(req.params.id, 10);
+    const { role, suspended, storageQuotaMb, jobPriority } = req.body;
+    // null resets the quota to STORAGE_QUOTA_MB
+    const setQuota = storageQuotaMb !== undefined;
+    const setPriority = jobPriority !== undefined;
+    const changesAccess = role !== undefined || suspended !== undefined;
+
+    if (!changesAccess && !setQuota && !setPriority) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+    // An admin locking themselves out would leave nobody to undo it
+    if (changesAccess && userId === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot change your own role or suspend yourself' });
+    }
+
+    const result = await pool.query(
+      `UPDATE users
+       SET role = COALESCE($2, role),
+           suspended_at = CASE WHEN $3::boolean IS NULL THEN suspended_at
+                               WHEN $3 THEN COALESCE(suspended_at, NOW())
+                               ELSE NULL END,
+           storage_quota_mb = CASE WHEN $4 THEN $5::int ELSE storage_quota_mb END,
+           job_priority = CASE WHEN $6 THEN $7::varchar ELSE job_priority END,
+           updated_at = NOW()
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id, username, email, display_name, role, suspended_at, storage_quota_mb, job_priority,
+                 email_verified_at, created_at`,
+      [userId, role || null, suspended === undefined ? null : suspended, setQuota, setQuota ? storageQuotaMb : null,
+        setPriority, setPriority ? jobPriority : null]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Role and suspension are in the access token, so the user has to sign in again
+    if (changesAccess) {
+      await revokeAllSessions(userId);
+    }
+    console.log(`🛡️ Admin ${req.user.username} updated user ${userId}: ${JSON.stringify(req.body)}`);
+
+    res.json({ success: true, user: result.rows[0] });
+
+  } catch (error) {
+    console.error('Admin user update error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Every video in the system (not in the trash) with its owner
+app.get('/admin/videos', requireAdmin, [
+  ...adminPageValidators,
+  query('status').optional().isIn(VIDEO_STATUSES),
+  query('userId').optional().isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, status, userId } = req.query;
+    const limit = req.query.limit || ADMIN_PAGE_SIZE;
+    const offset = req.query.offset || 0;
+    const filters = `v.deleted_at IS NULL
+      AND ($1::text IS NULL OR strpos(lower(COALESCE(v.title, '') || ' ' || v.original_name), lower($1)) > 0)
+      AND ($2::text IS NULL OR v.status = $2)
+      AND ($3::int IS NULL OR v.user_id = $3)`;
+    const values = [q || null, status || null, userId || null];
+
+    const [result, count] = await Promise.all([
+      pool.query(
+        `SELECT v.id, v.user_id, v.original_name, v.title, v.file_name, v.file_size, v.mime_type,
+                v.duration, v.width, v.height, v.status, v.progress, v.attempts, v.error_message,
+                v.job_id, v.is_public, v.thumbnail_path, v.compressed_path, v.converted_path, v.hls_path,
+                v.burned_path, v.sprites_path, v.preview_path, v.waveform_path, v.peaks_path, v.subtitles,
+                v.thumbnail_candidates,
+                v.created_at, u.username
+         FROM videos v JOIN users u ON u.id = v.user_id
+         WHERE ${filters}
+         ORDER BY v.created_at DESC, v.id DESC
+         LIMIT $4 OFFSET $5`,
+        [...values, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM videos v WHERE ${filters}`, values)
+    ]);
+
+    res.json({
+      success: true,
+      videos: result.rows.map(video => ({ ...video, media_urls: buildMediaUrls(video) })),
+      total: count.rows[0].total
+    });
+
+  } catch (error) {
+    console.error('Admin videos fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch videos' });
+  }
+});
+
+// Full details of any video, including its live job state
+app.get('/admin/videos/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT v.*, u.username, u.email
+       FROM videos v JOIN users u ON u.id = v.user_id
+       WHERE v.id = $1`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const { search_vector, ...video } = result.rows[0];
+    const jobData = video.job_id ? await redisClient.get(`job_${video.job_id}`) : null;
+
+    res.json({
+      success: true,
+      video: {
+        ...video,
+        media_urls: video.deleted_at ? null : buildMediaUrls(video),
+        job: jobData ? JSON.parse(jobData) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin video fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch video' });
+  }
+});
+
+// Delete any video now; the worker purges files, job keys and the row
+app.delete('/admin/videos/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE videos
+       SET deleted_at = COALESCE(deleted_at, NOW()), purge_at = NOW(), updated_at = NOW()
+       WHERE id = $1 RETURNING id, user_id`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    await removeVideoJobs(redisClient, result.rows[0].user_id, result.rows[0].id);
+    console.log(`🛡️ Admin ${req.user.username} deleted video ${req.params.id} of user ${result.rows[0].user_id}`);
+
+    res.json({ success: true, message: 'Video deleted' });
+
+  } catch (error) {
+    console.error('Admin video delete error:', error);
+    res.status(500).json({ error: 'Failed to delete video' });
+  }
+});
+
+async function publishAdminJobEvent(job, fields) {
+  await redisClient.publish('job_progress', JSON.stringify({
+    jobId: job.id,
+    videoId: job.dbId,
+    userId: job.userId,
+    fileName: job.originalName || job.fileName,
+    progress: 0,
+    timestamp: new Date().toISOString(),
+    ...fields
+  }));
+}
+
+// Worker queue overview: counts plus the first entries of every list
+app.get('/admin/jobs', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const [queued, processing, delayed, dead] = await Promise.all([
+      listQueuedJobs(redisClient, limit),
+      redisClient.lRange(PROCESSING_KEY, 0, limit - 1),
+      redisClient.zRangeWithScores(DELAYED_KEY, 0, limit - 1),
+      redisClient.lRange(DEAD_KEY, 0, limit - 1)
+    ]);
+    const [processingCount, delayedCount, deadCount] = await Promise.all([
+      redisClient.lLen(PROCESSING_KEY),
+      redisClient.zCard(DELAYED_KEY),
+      redisClient.lLen(DEAD_KEY)
+    ]);
+
+    // In-flight jobs report progress through their job_<id> status key
+    const inFlight = await Promise.all(processing.map(async (entry) => {
+      const job = parseQueueEntry(entry);
+      const status = job.id ? await redisClient.get(`job_${job.id}`) : null;
+      return status ? { ...job, ...JSON.parse(status) } : job;
+    }));
+
+    res.json({
+      success: true,
+      counts: { queued: queued.count, processing: processingCount, delayed: delayedCount, dead: deadCount },
+      // Oldest first across every user's queue (workers pick across users fairly,
+      // so this is not strictly the claim order)
+      queued: queued.jobs,
+      processing: inFlight,
+      delayed: delayed.map(({ value, score }) => ({ ...parseQueueEntry(value), retryAt: new Date(score).toISOString() })),
+      dead: dead.map(parseQueueEntry)
+    });
+
+  } catch (error) {
+    console.error('Admin jobs fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Waiting jobs are queued per user, so admin actions on a job id need its owner first
+async function findJobOwner(jobId) {
+  const result = await pool.query('SELECT user_id FROM videos WHERE job_id = $1', [jobId]);
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+// Put a job taken off a waiting list back on the queue with fresh attempts (and no schedule)
+async function requeueTakenJob(entry) {
+  const job = await requeueJob(redisClient, entry);
+  await redisClient.set(`job_${job.id}`, JSON.stringify(job), { EX: JOB_STATUS_TTL });
+  if (job.dbId) {
+    await pool.query(
+      `UPDATE videos SET status = 'queued', progress = 0, attempts = 0, error_message = NULL, scheduled_for = NULL,
+                         updated_at = NOW()
+       WHERE id = $1`,
+      [job.dbId]
+    );
+  }
+  await publishAdminJobEvent(job, { status: 'queued', attempts: 0 });
+  return job;
+}
+
+// Every permanently failed job (GET /admin/jobs only returns the first entries of each list)
+app.get('/admin/jobs/dead', requireAdmin, async (req, res) => {
+  try {
+    const entries = await redisClient.lRange(DEAD_KEY, 0, -1);
+    res.json({ success: true, jobs: entries.map(parseQueueEntry) });
+  } catch (error) {
+    console.error('Admin dead-letter fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch failed jobs' });
+  }
+});
+
+// Retry every permanently failed job
+app.post('/admin/jobs/dead/requeue', requireAdmin, async (req, res) => {
+  try {
+    const requeued = [];
+    for (const entry of await takeDeadJobs(redisClient)) {
+      requeued.push((await requeueTakenJob(entry)).id);
+    }
+
+    console.log(`🛡️ Admin ${req.user.username} requeued ${requeued.length} failed jobs`);
+    res.json({ success: true, message: `${requeued.length} jobs requeued`, requeued });
+
+  } catch (error) {
+    console.error('Admin requeue all error:', error);
+    res.status(500).json({ error: 'Failed to requeue failed jobs' });
+  }
+});
+
+// Put a failed (dead) or waiting-for-retry job back on the queue right away
+app.post('/admin/jobs/:jobId/requeue', requireAdmin, async (req, res) => {
+  try {
+    const found = await findWaitingJob(redisClient, req.params.jobId, await findJobOwner(req.params.jobId));
+    if (!found || found.state === 'queued') {
+      return res.status(404).json({ error: 'Job not found among failed or delayed jobs' });
+    }
+    if (!await takeWaitingJob(redisClient, found)) {
+      return res.status(409).json({ error: 'Job was picked up in the meantime' });
+    }
+
+    const job = await requeueTakenJob(found.entry);
+
+    console.log(`🛡️ Admin ${req.user.username} requeued job ${job.id} (${found.state})`);
+    res.json({ success: true, message: 'Job requeued', jobId: job.id });
+
+  } catch (error) {
+    console.error('Admin requeue error:', error);
+    res.status(500).json({ error: 'Failed to requeue job' });
+  }
+});
+
+// Change the priority of a waiting job, e.g. bump one upload to urgent. Running jobs already
+// have a worker, so there is nothing to reorder.
+app.post('/admin/jobs/:jobId/priority', requireAdmin, [
+  body('priority').isIn(Object.keys(JOB_PRIORITIES))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const found = await findWaitingJob(redisClient, req.params.jobId, await findJobOwner(req.params.jobId));
+    if (!found) {
+      return res.status(404).json({ error: 'Job not found among waiting jobs' });
+    }
+
+    const job = await setWaitingJobPriority(redisClient, found, JOB_PRIORITIES[req.body.priority]);
+    if (!job) {
+      return res.status(409).json({ error: 'Job was picked up in the meantime' });
+    }
+
+    if (job.dbId) {
+      await pool.query('UPDATE videos SET priority = $2, updated_at = NOW() WHERE id = $1', [job.dbId, job.priority]);
+    }
+    // A failed job only takes the priority along when it is requeued
+    if (found.state !== 'dead') {
+      await redisClient.set(`job_${job.id}`, JSON.stringify(job), { EX: JOB_STATUS_TTL });
+      await publishAdminJobEvent(job, { status: job.status, priority: req.body.priority });
+    }
+
+    console.log(`🛡️ Admin ${req.user.username} set priority of job ${job.id} to ${req.body.priority} (${found.state})`);
+    res.json({ success: true, message: 'Priority updated', jobId: job.id, priority: req.body.priority });
+
+  } catch (error) {
+    console.error('Admin job priority error:', error);
+    res.status(500).json({ error: 'Failed to update job priority' });
+  }
+});
+
+// Cancel a job. Waiting jobs (queued, delayed or dead) are removed here; a running job is
+// handed to the worker as a control request (see requestJobControl in shared/queue.js)
+app.post('/admin/jobs/:jobId/cancel', requireAdmin, async (req, res) => {
+  try {
+    const errorMessage = 'Cancelled by an administrator';
+    const found = await findWaitingJob(redisClient, req.params.jobId, await findJobOwner(req.params.jobId));
+    if (!found) {
+      if (!await isJobProcessing(redisClient, req.params.jobId)) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      await requestJobControl(redisClient, req.params.jobId, { action: 'cancel', reason: errorMessage });
+
+      console.log(`🛡️ Admin ${req.user.username} requested cancel of running job ${req.params.jobId}`);
+      return res.status(202).json({ success: true, message: 'Job will be cancelled shortly', jobId: req.params.jobId });
+    }
+    if (!await takeWaitingJob(redisClient, found)) {
+      return res.status(409).json({ error: 'Job was picked up in the meantime' });
+    }
+
+    const job = { ...parseQueueEntry(found.entry), status: 'cancelled', error: errorMessage };
+    await redisClient.set(`job_${job.id}`, JSON.stringify(job), { EX: JOB_STATUS_TTL });
+    if (job.dbId) {
+      await pool.query(
+        `UPDATE videos SET status = 'cancelled', progress = 0, error_message = $2, updated_at = NOW() WHERE id = $1`,
+        [job.dbId, errorMessage]
+      );
+    }
+    await publishAdminJobEvent(job, { status: 'cancelled', error: errorMessage });
+
+    console.log(`🛡️ Admin ${req.user.username} cancelled job ${job.id} (${found.state})`);
+    res.json({ success: true, message: 'Job cancelled', jobId: job.id });
+
+  } catch (error) {
+    console.error('Admin cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
   }
 });
 
@@ -341,5 +2492,6 @@ app.listen(PORT, async () => {
 process.on('SIGTERM', async () => {
   console.log('Auth service shutting down...');
   await pool.end();
+  await redisClient.quit();
   process.exit(0);
 });
\ No newline at end of file
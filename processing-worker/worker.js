@@ -3,11 +3,57 @@ const redis = require('redis');
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const cors = require('cors');
 const { Pool } = require('pg');
+const {
+  PROCESSING_KEY, DELAYED_KEY, DEAD_KEY, parseQueueEntry, resetJobForQueue, claimJob, settleJob,
+  promoteDelayedJob, migrateLegacyQueue, countQueuedJobs, removeVideoJobs, WORKERS_KEY, listWorkers, workerKey,
+  CONTROL_CHANNEL, jobControlKey
+} = require('../shared/queue');
+const { createStorage, normalizeKey } = require('../shared/storage');
+const { resolvePreset } = require('../shared/presets');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+// Reliable queue (see shared/queue.js): retries with exponential backoff, then dead-lettered
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10);
+const JOB_RETRY_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS || '30000', 10);
+const JOB_VISIBILITY_TIMEOUT = parseInt(process.env.JOB_VISIBILITY_TIMEOUT || '120', 10); // seconds
+const JOB_STATUS_TTL = 7 * 24 * 60 * 60; // seconds
+const RECOVERY_INTERVAL_MS = 15 * 1000;
+
+// Jobs this worker runs side by side; every job runs its own ffmpeg processes,
+// so raise the container's CPU and memory limits along with it
+const WORKER_CONCURRENCY = Math.max(1, parseInt(process.env.WORKER_CONCURRENCY || '1', 10));
+const CLAIM_POLL_MS = 1000;
+
+// Worker registry for /stats and queue estimates (see WORKERS_KEY in shared/queue.js); the
+// details expire unless the worker keeps refreshing them, so replicas that died drop out
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+const WORKER_TTL = 30; // seconds
+const WORKER_HEARTBEAT_MS = 10 * 1000;
+const WORKER_STARTED_AT = new Date().toISOString();
+
+// Live progress is published here for upload-service to stream to the dashboard
+const PROGRESS_CHANNEL = 'job_progress';
+const PROGRESS_THROTTLE_MS = 1000;
+
+// Originals are read from and outputs written to the configured storage backend (local volume or S3).
+// ffmpeg works on local files, so each job gets a scratch directory that is removed afterwards.
+const storage = createStorage();
+const WORK_DIR = process.env.WORK_DIR || '/tmp/work';
+
+// Jobs being processed by this worker, by job id (purge must not pull files out from under ffmpeg)
+const activeJobs = new Map();
+
+// ffmpeg commands per running job id, killed when the job is cancelled or paused
+const runningCommands = new Map();
+
+// EBU R128 loudness normalisation for presets with normalizeAudio
+const LOUDNORM_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
 
 // Set FFmpeg paths explicitly
 ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH || '/usr/bin/ffmpeg');
@@ -21,6 +67,25 @@ const redisClient = redis.createClient({
 redisClient.on('error', (err) => console.log('Redis Client Error', err));
 redisClient.connect();
 
+// Cancel/pause requests for the running job (see requestJobControl in shared/queue.js), on a
+// separate connection because a subscribed client cannot run other commands
+const controlSubscriber = redisClient.duplicate();
+
+controlSubscriber.on('error', (err) => console.log('Redis Subscriber Error', err));
+controlSubscriber.connect().then(() => {
+  return controlSubscriber.subscribe(CONTROL_CHANNEL, (message) => {
+    try {
+      const request = JSON.parse(message);
+      const job = activeJobs.get(request.jobId);
+      if (job) {
+        abortJob(job, request);
+      }
+    } catch (error) {
+      console.error('Invalid control message:', error.message);
+    }
+  });
+}).catch(err => console.error('Control subscription failed:', err));
+
 // PostgreSQL connection
 const pool = new Pool({
   host: process.env.DB_HOST || 'postgres',
@@ -56,12 +121,23 @@ app.get('/health', (req, res) => {
 // Get worker stats
 app.get('/stats', async (req, res) => {
   try {
-    const queueLength = await redisClient.lLen('video_jobs');
-    const activeJobs = await redisClient.keys('job_*_processing');
+    const queueLength = await countQueuedJobs(redisClient);
+    const heartbeats = await redisClient.keys('job_*_processing');
+    const inFlight = await redisClient.lLen(PROCESSING_KEY);
+    const delayed = await redisClient.zCard(DELAYED_KEY);
+    const deadLetters = await redisClient.lLen(DEAD_KEY);
+    const workers = await listWorkers(redisClient);
     
     res.json({
       queueLength,
-      activeJobs: activeJobs.length,
+      activeJobs: heartbeats.length,
+      inFlight,
+      delayed,
+      deadLetters,
+      // This replica; memory and uptime below are its own
+      workerId: WORKER_ID,
+      workers,
+      capacity: workers.reduce((sum, worker) => sum + worker.concurrency, 0),
       memory: process.memoryUsage(),
       uptime: process.uptime()
     });
@@ -81,18 +157,64 @@ async function updateVideoInDatabase(jobId, updates) {
       fields.push(`status = $${valueIndex++}`);
       values.push(updates.status);
     }
-    if (updates.thumbnailPath) {
-      fields.push(`thumbnail_path = $${valueIndex++}`);
+    // Output columns: null clears an output the latest run did not produce (e.g. no HLS in the preset)
+    if (updates.thumbnailPath !== undefined) {
+      // A custom thumbnail uploaded by the owner survives reprocessing
+      fields.push(`thumbnail_path = CASE WHEN strpos(thumbnail_path, '_thumbnail_custom_') > 0
+                   THEN thumbnail_path ELSE $${valueIndex++} END`);
       values.push(updates.thumbnailPath);
     }
-    if (updates.compressedPath) {
+    if (updates.thumbnailCandidates !== undefined) {
+      fields.push(`thumbnail_candidates = $${valueIndex++}`);
+      values.push(updates.thumbnailCandidates ? JSON.stringify(updates.thumbnailCandidates) : null);
+    }
+    if (updates.compressedPath !== undefined) {
       fields.push(`compressed_path = $${valueIndex++}`);
       values.push(updates.compressedPath);  
     }
-    if (updates.convertedPath) {
+    if (updates.convertedPath !== undefined) {
       fields.push(`converted_path = $${valueIndex++}`);
       values.push(updates.convertedPath);
     }
+    if (updates.hlsPath !== undefined) {
+      fields.push(`hls_path = $${valueIndex++}`);
+      values.push(updates.hlsPath);
+    }
+    if (updates.spritesPath !== undefined) {
+      fields.push(`sprites_path = $${valueIndex++}`);
+      values.push(updates.spritesPath);
+    }
+    if (updates.previewPath !== undefined) {
+      fields.push(`preview_path = $${valueIndex++}`);
+      values.push(updates.previewPath);
+    }
+    if (updates.waveformPath !== undefined) {
+      fields.push(`waveform_path = $${valueIndex++}`);
+      values.push(updates.waveformPath);
+    }
+    if (updates.peaksPath !== undefined) {
+      fields.push(`peaks_path = $${valueIndex++}`);
+      values.push(updates.peaksPath);
+    }
+    if (updates.burnedPath !== undefined) {
+      fields.push(`burned_path = $${valueIndex++}`);
+      values.push(updates.burnedPath);
+    }
+    // Extracted tracks replace the previous run's; tracks the owner uploaded are kept
+    if (updates.subtitles !== undefined) {
+      fields.push(`subtitles = COALESCE(
+                     (SELECT jsonb_agg(track) FROM jsonb_array_elements(subtitles) AS track
+                      WHERE track->>'source' = 'upload'), '[]'::jsonb) || $${valueIndex++}::jsonb`);
+      values.push(JSON.stringify(updates.subtitles));
+    }
+    if (updates.fileSize) {
+      fields.push(`file_size = $${valueIndex++}`);
+      values.push(updates.fileSize);
+    }
+    if (updates.defaultTitle) {
+      fields.push(`title = COALESCE(title, $${valueIndex++})`);
+      values.push(updates.defaultTitle.slice(0, 255));
+    }
     if (updates.duration) {
       fields.push(`duration = $${valueIndex++}`);
       values.push(updates.duration);
@@ -101,6 +223,40 @@ async function updateVideoInDatabase(jobId, updates) {
       fields.push(`width = $${valueIndex++}`, `height = $${valueIndex++}`);
       values.push(updates.width, updates.height);
     }
+    if (updates.progress !== undefined) {
+      fields.push(`progress = $${valueIndex++}`);
+      values.push(updates.progress);
+    }
+    if (updates.attempts !== undefined) {
+      fields.push(`attempts = $${valueIndex++}`);
+      values.push(updates.attempts);
+    }
+    // null clears the error of a previous attempt
+    if (updates.errorMessage !== undefined) {
+      fields.push(`error_message = $${valueIndex++}`);
+      values.push(updates.errorMessage);
+    }
+    if (updates.stepTimings) {
+      fields.push(`step_timings = $${valueIndex++}`);
+      values.push(JSON.stringify(updates.stepTimings));
+    }
+    if (updates.metadata) {
+      fields.push(`metadata = $${valueIndex++}`);
+      values.push(JSON.stringify(updates.metadata));
+    }
+    if (updates.processingStartedAt !== undefined) {
+      fields.push(`processing_started_at = $${valueIndex++}`);
+      values.push(updates.processingStartedAt);
+    }
+    if (updates.outputSizes) {
+      const { total, ...byKind } = updates.outputSizes;
+      fields.push(`output_sizes = $${valueIndex++}`, `output_size = $${valueIndex++}`);
+      values.push(JSON.stringify(byKind), total);
+    }
+    if (updates.processingCompletedAt !== undefined) {
+      fields.push(`processing_completed_at = $${valueIndex++}`);
+      values.push(updates.processingCompletedAt);
+    }
 
     if (fields.length > 0) {
       fields.push(`updated_at = $${valueIndex++}`);
@@ -116,17 +272,31 @@ async function updateVideoInDatabase(jobId, updates) {
   }
 }
 
+// Remember an ffmpeg command until it ends so abortJob can kill it
+function trackCommand(jobId, command) {
+  if (!runningCommands.has(jobId)) {
+    runningCommands.set(jobId, new Set());
+  }
+  const commands = runningCommands.get(jobId);
+  const untrack = () => commands.delete(command);
+  commands.add(command);
+  return command.on('end', untrack).on('error', untrack);
+}
+
+// Thumbnails keep the source aspect ratio: fixed width, height follows
+const THUMBNAIL_SIZE = '320x?';
+
 // Processing functions
 async function generateThumbnail(inputPath, outputDir, jobId) {
   return new Promise((resolve, reject) => {
     const thumbnailPath = path.join(outputDir, `${jobId}_thumbnail.jpg`);
     
-    ffmpeg(inputPath)
+    trackCommand(jobId, ffmpeg(inputPath))
       .screenshots({
         timestamps: ['10%'],
         filename: `${jobId}_thumbnail.jpg`,
         folder: outputDir,
-        size: '320x240'
+        size: THUMBNAIL_SIZE
       })
       .on('end', () => {
         console.log(`📸 Thumbnail created: ${jobId}_thumbnail.jpg`);
@@ -136,14 +306,154 @@ async function generateThumbnail(inputPath, outputDir, jobId) {
   });
 }
 
-async function convertAudio(inputPath, outputDir, jobId) {
+// Extra frames the owner can pick from instead of the default (10%) thumbnail
+const THUMBNAIL_CANDIDATE_TIMESTAMPS = ['10%', '25%', '50%', '75%', '90%'];
+
+async function generateThumbnailCandidates(inputPath, outputDir, jobId) {
   return new Promise((resolve, reject) => {
-    const outputPath = path.join(outputDir, `${jobId}_converted.mp3`);
+    let filenames = [];
+
+    trackCommand(jobId, ffmpeg(inputPath))
+      .screenshots({
+        timestamps: THUMBNAIL_CANDIDATE_TIMESTAMPS,
+        filename: `${jobId}_thumb_%i.jpg`,
+        folder: outputDir,
+        size: THUMBNAIL_SIZE
+      })
+      .on('filenames', (names) => {
+        filenames = names;
+      })
+      .on('end', () => {
+        console.log(`🖼️ ${filenames.length} thumbnail candidates created for ${jobId}`);
+        resolve(filenames.map(name => path.join(outputDir, name)));
+      })
+      .on('error', reject);
+  });
+}
+
+// Seek-bar previews: frames every `interval` seconds, tiled into JPEG sheets of columns x rows.
+// Long videos get a wider interval so there are never more than maxFrames frames.
+const SPRITE_SETTINGS = { interval: 5, maxFrames: 400, width: 160, columns: 10, rows: 10 };
+
+// Sprite sheets (<jobId>_sprites_<n>.jpg) plus a WebVTT index (<jobId>_sprites.vtt) whose cues
+// point at one frame each (sheet#xywh=x,y,w,h), relative to the index so signed URLs carry over
+async function generateSprites(inputPath, outputDir, jobId, duration, onProgress = () => {}) {
+  const { maxFrames, width, columns } = SPRITE_SETTINGS;
+  const interval = Math.max(SPRITE_SETTINGS.interval, duration / maxFrames);
+  const frameCount = Math.max(1, Math.ceil(duration / interval));
+  const rows = Math.min(SPRITE_SETTINGS.rows, Math.ceil(frameCount / columns));
+  const framesPerSheet = columns * rows;
+
+  await new Promise((resolve, reject) => {
+    trackCommand(jobId, ffmpeg(inputPath))
+      // Decoding keyframes only is much faster and close enough for a preview
+      .inputOptions(['-skip_frame nokey'])
+      .output(path.join(outputDir, `${jobId}_sprites_%d.jpg`))
+      .noAudio()
+      .outputOptions([
+        '-vf', `fps=1/${interval},scale=${width}:-2,tile=${columns}x${rows}`,
+        '-vsync', 'vfr',
+        '-q:v', '5'
+      ])
+      .on('progress', onProgress)
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+
+  // Frame height follows the (possibly rotated) picture, so read it back from the first sheet
+  const sheet = await extractMetadata(path.join(outputDir, `${jobId}_sprites_1.jpg`));
+  const frameHeight = Math.round(sheet.video.height / rows);
+
+  const cues = [];
+  for (let frame = 0; frame < frameCount; frame++) {
+    const position = frame % framesPerSheet;
+    const x = (position % columns) * width;
+    const y = Math.floor(position / columns) * frameHeight;
+    const start = frame * interval;
+    const end = Math.min(start + interval, duration);
+    cues.push(`${formatVttTime(start)} --> ${formatVttTime(end)}\n` +
+      `${jobId}_sprites_${Math.floor(frame / framesPerSheet) + 1}.jpg#xywh=${x},${y},${width},${frameHeight}`);
+  }
+
+  const indexPath = path.join(outputDir, `${jobId}_sprites.vtt`);
+  await fs.promises.writeFile(indexPath, `WEBVTT\n\n${cues.join('\n\n')}\n`);
+  console.log(`🎞️ ${Math.ceil(frameCount / framesPerSheet)} sprite sheet(s) created for ${jobId} (${frameCount} frames)`);
+  return indexPath;
+}
+
+// WebVTT timestamp (hh:mm:ss.ttt); hours keep counting past 24 for very long media
+function formatVttTime(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+    `${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+// Hover preview for the library: a silent, low-bitrate montage of short segments spread over the video
+const PREVIEW_SETTINGS = { segments: 4, segmentSeconds: 2, width: 320, videoBitrate: 250 };
+
+async function generatePreviewClip(inputPath, outputDir, jobId, duration, onProgress = () => {}) {
+  const { segmentSeconds, width, videoBitrate } = PREVIEW_SETTINGS;
+  // Videos too short to spread the segments out just use their start
+  const segments = duration >= PREVIEW_SETTINGS.segments * segmentSeconds * 2 ? PREVIEW_SETTINGS.segments : 1;
+  const fileName = `${jobId}_preview.mp4`;
+  const outputPath = path.join(outputDir, fileName);
+
+  return new Promise((resolve, reject) => {
+    const command = trackCommand(jobId, ffmpeg());
+    const labels = [];
+
+    // One input per segment, so every segment is a fast input seek instead of decoding up to it
+    for (let i = 0; i < segments; i++) {
+      const start = segments === 1 ? 0 : (duration * (i + 1)) / (segments + 1) - segmentSeconds / 2;
+      command.input(inputPath).inputOptions([`-ss ${start.toFixed(3)}`, `-t ${segmentSeconds}`]);
+      labels.push(`[${i}:v:0]`);
+    }
+
+    command
+      .complexFilter(`${labels.join('')}concat=n=${segments}:v=1:a=0,scale=${width}:-2,fps=15[preview]`)
+      .outputOptions([
+        '-map [preview]',
+        '-an',
+        '-c:v libx264',
+        '-preset veryfast',
+        `-b:v ${videoBitrate}k`,
+        '-pix_fmt yuv420p',
+        '-movflags +faststart'
+      ])
+      .output(outputPath)
+      .on('progress', onProgress)
+      .on('end', () => {
+        console.log(`🎬 Preview clip created: ${fileName}`);
+        resolve(outputPath);
+      })
+      .on('error', reject)
+      .run();
+  });
+}
+
+// options: the preset's audio.convert section plus normalizeAudio
+async function convertAudio(inputPath, outputDir, jobId, options, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    const fileName = `${jobId}_converted.${options.container}`;
+    const outputPath = path.join(outputDir, fileName);
     
-    ffmpeg(inputPath)
+    const command = trackCommand(jobId, ffmpeg(inputPath))
       .output(outputPath)
-      .audioCodec('mp3')
-      .audioBitrate('128k')
+      .noVideo()
+      .audioCodec(options.audioCodec);
+
+    // Lossless formats (FLAC) have no bitrate
+    if (options.audioBitrate) command.audioBitrate(`${options.audioBitrate}k`);
+    if (options.channels) command.audioChannels(options.channels);
+    if (options.sampleRate) command.audioFrequency(options.sampleRate);
+    if (options.normalizeAudio) command.audioFilters(LOUDNORM_FILTER);
+
+    command
       .on('start', (cmd) => {
         console.log(`🔄 Converting audio: ${jobId}...`);
       })
@@ -151,9 +461,10 @@ async function convertAudio(inputPath, outputDir, jobId) {
         if (progress.percent) {
           console.log(`📊 Progress: ${Math.round(progress.percent)}%`);
         }
+        onProgress(progress);
       })
       .on('end', () => {
-        console.log(`✅ Audio conversion complete: ${jobId}_converted.mp3`);
+        console.log(`✅ Audio conversion complete: ${fileName}`);
         resolve(outputPath);
       })
       .on('error', reject)
@@ -161,14 +472,31 @@ async function convertAudio(inputPath, outputDir, jobId) {
   });
 }
 
+// ID3 / Vorbis comment / MP4 tags worth showing; tag names differ in case between containers
+const MEDIA_TAGS = ['title', 'artist', 'album', 'album_artist', 'genre', 'date', 'track'];
+
+function pickMediaTags(formatTags = {}) {
+  const tags = {};
+  for (const [name, value] of Object.entries(formatTags)) {
+    const key = name.toLowerCase();
+    if (MEDIA_TAGS.includes(key) && String(value).trim()) {
+      tags[key] = String(value).trim();
+    }
+  }
+  return tags;
+}
+
 async function extractMetadata(inputPath) {
   return new Promise((resolve, reject) => {
     ffmpeg.ffprobe(inputPath, (err, metadata) => {
       if (err) {
         reject(err);
       } else {
-        const videoStream = metadata.streams.find(s => s.codec_type === 'video');
+        // Cover art in audio files shows up as a single-picture video stream
+        const isCoverArt = (s) => s.codec_type === 'video' && s.disposition && s.disposition.attached_pic === 1;
+        const videoStream = metadata.streams.find(s => s.codec_type === 'video' && !isCoverArt(s));
         const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
+        const coverStream = metadata.streams.find(isCoverArt);
         
         resolve({
           duration: metadata.format.duration,
@@ -185,25 +513,169 @@ async function extractMetadata(inputPath) {
             codec: audioStream.codec_name,
             channels: audioStream.channels,
             sample_rate: audioStream.sample_rate
-          } : null
+          } : null,
+          coverArt: coverStream ? { index: coverStream.index, codec: coverStream.codec_name } : null,
+          tags: pickMediaTags(metadata.format.tags),
+          subtitles: metadata.streams
+            .filter(s => s.codec_type === 'subtitle')
+            .map(s => ({
+              index: s.index,
+              codec: s.codec_name,
+              language: (s.tags && s.tags.language) || 'und',
+              title: (s.tags && s.tags.title) || null
+            })),
+          // Full ffprobe output, stored in videos.metadata (kept out of the Redis job)
+          probe: {
+            format: metadata.format,
+            streams: metadata.streams
+          }
         });
       }
     });
   });
 }
 
-async function compressVideo(inputPath, outputDir, jobId) {
+// Embedded cover art (stream from extractMetadata) becomes the audio file's thumbnail
+async function extractCoverArt(inputPath, outputDir, jobId, coverArt) {
   return new Promise((resolve, reject) => {
-    const outputPath = path.join(outputDir, `${jobId}_compressed.mp4`);
+    const fileName = `${jobId}_thumbnail.jpg`;
+    const outputPath = path.join(outputDir, fileName);
+
+    trackCommand(jobId, ffmpeg(inputPath))
+      .output(outputPath)
+      .outputOptions([`-map 0:${coverArt.index}`, '-frames:v 1'])
+      .size(THUMBNAIL_SIZE)
+      .on('end', () => {
+        console.log(`🖼️ Cover art extracted: ${fileName}`);
+        resolve(outputPath);
+      })
+      .on('error', reject)
+      .run();
+  });
+}
+
+// Waveform picture for the library (and the thumbnail of audio without cover art)
+const WAVEFORM_IMAGE = { width: 1280, height: 240, color: '#667eea' };
+// Peaks for the player's scrubber: loudest sample per bucket, from mono PCM at a low rate
+const WAVEFORM_PEAKS = { count: 1000, sampleRate: 4000 };
+
+async function generateWaveformImage(inputPath, outputDir, jobId) {
+  return new Promise((resolve, reject) => {
+    const fileName = `${jobId}_waveform.png`;
+    const outputPath = path.join(outputDir, fileName);
+    const { width, height, color } = WAVEFORM_IMAGE;
+
+    trackCommand(jobId, ffmpeg(inputPath))
+      .complexFilter(`[0:a:0]aformat=channel_layouts=mono,showwavespic=s=${width}x${height}:colors=${color}[waveform]`)
+      .outputOptions(['-map [waveform]', '-frames:v 1'])
+      .output(outputPath)
+      .on('end', () => {
+        console.log(`🌊 Waveform image created: ${fileName}`);
+        resolve(outputPath);
+      })
+      .on('error', reject)
+      .run();
+  });
+}
+
+async function generateWaveformPeaks(inputPath, outputDir, jobId, duration, onProgress = () => {}) {
+  const { count, sampleRate } = WAVEFORM_PEAKS;
+  const samplesPerPeak = Math.max(1, Math.ceil((duration * sampleRate) / count));
+
+  const peaks = await new Promise((resolve, reject) => {
+    const result = [];
+    let peak = 0;
+    let samples = 0;
+    let leftover = null;
+    // Done once ffmpeg exited cleanly and every sample has been read
+    let pending = 2;
+    const finish = () => {
+      if (--pending > 0) return;
+      if (samples > 0) result.push(peak);
+      resolve(result);
+    };
+
+    const command = trackCommand(jobId, ffmpeg(inputPath))
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(sampleRate)
+      .format('s16le')
+      .on('progress', onProgress)
+      .on('end', finish)
+      .on('error', reject);
+
+    const stream = command.pipe();
+    stream.on('data', (chunk) => {
+      // 16-bit samples can straddle chunk boundaries
+      const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = data.length - (data.length % 2);
+      leftover = usable < data.length ? data.subarray(usable) : null;
+
+      for (let offset = 0; offset < usable; offset += 2) {
+        peak = Math.max(peak, Math.abs(data.readInt16LE(offset)));
+        if (++samples === samplesPerPeak) {
+          result.push(peak);
+          peak = 0;
+          samples = 0;
+        }
+      }
+    });
+    stream.on('end', finish);
+  });
+
+  const fileName = `${jobId}_peaks.json`;
+  const outputPath = path.join(outputDir, fileName);
+  await fs.promises.writeFile(outputPath, JSON.stringify({
+    duration,
+    peaks: peaks.map(value => Math.round((value / 32768) * 1000) / 1000)
+  }));
+  console.log(`🌊 ${peaks.length} waveform peaks written: ${fileName}`);
+  return outputPath;
+}
+
+// Text subtitle codecs ffmpeg can convert to WebVTT; bitmap ones (PGS, DVD) would need OCR
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'mov_text', 'webvtt', 'text'];
+
+// One embedded subtitle stream (track from extractMetadata) as a WebVTT file
+async function extractSubtitleTrack(inputPath, outputDir, jobId, track) {
+  return new Promise((resolve, reject) => {
+    const language = track.language.replace(/[^a-zA-Z0-9-]/g, '') || 'und';
+    const fileName = `${jobId}_subs_track${track.index}_${language}.vtt`;
+    const outputPath = path.join(outputDir, fileName);
+
+    trackCommand(jobId, ffmpeg(inputPath))
+      .output(outputPath)
+      .outputOptions([`-map 0:${track.index}`, '-f webvtt'])
+      .on('end', () => {
+        console.log(`💬 Subtitle track extracted: ${fileName}`);
+        resolve(outputPath);
+      })
+      .on('error', reject)
+      .run();
+  });
+}
+
+// options: the preset's video.compress section plus normalizeAudio (only set when there is audio)
+// and subtitlesPath, a subtitle file drawn into the picture (the "burned" copy)
+async function compressVideo(inputPath, outputDir, jobId, options, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    const fileName = `${jobId}_${options.subtitlesPath ? 'burned' : 'compressed'}.${options.container}`;
+    const outputPath = path.join(outputDir, fileName);
     
-    ffmpeg(inputPath)
+    const command = trackCommand(jobId, ffmpeg(inputPath))
       .output(outputPath)
-      .videoCodec('libx264')
-      .audioCodec('aac')
-      .videoBitrate('1000k')
-      .audioBitrate('128k')
-      .size('720x?')
-      .autopad()
+      .videoCodec(options.videoCodec)
+      .audioCodec(options.audioCodec)
+      .videoBitrate(`${options.videoBitrate}k`)
+      .audioBitrate(`${options.audioBitrate}k`)
+      .size(options.height ? `?x${options.height}` : `${options.width || 720}x?`)
+      .autopad();
+
+    if (options.normalizeAudio) command.audioFilters(LOUDNORM_FILTER);
+    // Scratch paths are <WORK_DIR>/<jobId>/..., nothing the filter syntax would trip over
+    if (options.subtitlesPath) command.videoFilters(`subtitles=${options.subtitlesPath}`);
+
+    command
       .on('start', (cmd) => {
         console.log(`🔄 Compressing: ${jobId}...`);
       })
@@ -211,9 +683,10 @@ async function compressVideo(inputPath, outputDir, jobId) {
         if (progress.percent) {
           console.log(`📊 Progress: ${Math.round(progress.percent)}%`);
         }
+        onProgress(progress);
       })
       .on('end', () => {
-        console.log(`✅ Compression complete: ${jobId}_compressed.mp4`);
+        console.log(`✅ Compression complete: ${fileName}`);
         resolve(outputPath);
       })
       .on('error', reject)
@@ -221,64 +694,808 @@ async function compressVideo(inputPath, outputDir, jobId) {
   });
 }
 
+// Adaptive streaming ladder (rungs above the source height or the preset's maxHeight are skipped)
+const HLS_LADDER = [
+  { name: '240p', height: 240, videoBitrate: 400, audioBitrate: 64 },
+  { name: '480p', height: 480, videoBitrate: 1000, audioBitrate: 96 },
+  { name: '720p', height: 720, videoBitrate: 2500, audioBitrate: 128 },
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 128 }
+];
+const HLS_SEGMENT_SECONDS = 4;
+
+function buildRenditionLadder(sourceWidth, sourceHeight, maxHeight = Infinity) {
+  const width = sourceWidth || 1280;
+  const height = sourceHeight || 720;
+  let rungs = HLS_LADDER.filter(rung => rung.height <= height && rung.height <= maxHeight);
+
+  // Sources smaller than the lowest rung get a single rendition at native size
+  if (rungs.length === 0) {
+    rungs = [{ ...HLS_LADDER[0], name: `${height}p`, height }];
+  }
+
+  return rungs.map(rung => ({
+    ...rung,
+    height: rung.height - (rung.height % 2),
+    width: Math.round((width * rung.height) / height / 2) * 2
+  }));
+}
+
+async function encodeHlsRendition(inputPath, renditionDir, rendition, audio, jobId, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    const playlistPath = path.join(renditionDir, 'index.m3u8');
+    const command = trackCommand(jobId, ffmpeg(inputPath))
+      .output(playlistPath)
+      .videoCodec('libx264')
+      .videoBitrate(`${rendition.videoBitrate}k`)
+      .outputOptions([
+        '-preset veryfast',
+        '-profile:v main',
+        `-vf scale=${rendition.width}:${rendition.height}`,
+        `-maxrate ${Math.round(rendition.videoBitrate * 1.07)}k`,
+        `-bufsize ${rendition.videoBitrate * 2}k`,
+        // Keyframes on segment boundaries so every rendition switches cleanly
+        `-force_key_frames expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+        '-sc_threshold 0',
+        '-f hls',
+        `-hls_time ${HLS_SEGMENT_SECONDS}`,
+        '-hls_playlist_type vod',
+        `-hls_segment_filename ${path.join(renditionDir, 'segment_%03d.ts')}`
+      ]);
+
+    if (audio) {
+      command.audioCodec('aac').audioBitrate(`${rendition.audioBitrate}k`).audioChannels(2);
+      if (audio.normalize) command.audioFilters(LOUDNORM_FILTER);
+    } else {
+      command.noAudio();
+    }
+
+    command
+      .on('start', () => {
+        console.log(`🔄 Encoding HLS ${rendition.name}: ${jobId}...`);
+      })
+      .on('progress', (progress) => {
+        if (progress.percent) {
+          console.log(`📊 ${rendition.name} progress: ${Math.round(progress.percent)}%`);
+        }
+        onProgress(progress);
+      })
+      .on('end', () => {
+        console.log(`✅ HLS ${rendition.name} complete: ${jobId}`);
+        resolve(playlistPath);
+      })
+      .on('error', reject)
+      .run();
+  });
+}
+
+function writeMasterPlaylist(hlsDir, renditions, hasAudio) {
+  const codecs = hasAudio ? 'avc1.4d401f,mp4a.40.2' : 'avc1.4d401f';
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  for (const rendition of renditions) {
+    const bandwidth = (rendition.videoBitrate + (hasAudio ? rendition.audioBitrate : 0)) * 1000;
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${Math.round(bandwidth * 1.1)},AVERAGE-BANDWIDTH=${bandwidth},` +
+      `RESOLUTION=${rendition.width}x${rendition.height},CODECS="${codecs}",NAME="${rendition.name}"`
+    );
+    lines.push(`${rendition.name}/index.m3u8`);
+  }
+
+  const masterPath = path.join(hlsDir, 'master.m3u8');
+  fs.writeFileSync(masterPath, lines.join('\n') + '\n');
+  return masterPath;
+}
+
+// Encode renditions one at a time to stay inside the container memory limit.
+// options: the preset's video.hls section plus normalizeAudio
+async function generateHlsPackage(inputPath, outputDir, jobId, metadata, options, onProgress = () => {}) {
+  const hlsDir = path.join(outputDir, `${jobId}_hls`);
+  const video = metadata && metadata.video;
+  const hasAudio = !!(metadata && metadata.audio);
+  const renditions = buildRenditionLadder(video && video.width, video && video.height, options.maxHeight);
+
+  fs.mkdirSync(hlsDir, { recursive: true });
+
+  for (const [index, rendition] of renditions.entries()) {
+    const renditionDir = path.join(hlsDir, rendition.name);
+    fs.mkdirSync(renditionDir, { recursive: true });
+
+    // Spread each rendition's progress over its share of the whole step
+    const audio = hasAudio ? { normalize: options.normalizeAudio } : null;
+    await encodeHlsRendition(inputPath, renditionDir, rendition, audio, jobId, (progress) => {
+      onProgress({
+        ...progress,
+        percent: ((index + (progress.percent || 0) / 100) / renditions.length) * 100,
+        detail: rendition.name
+      });
+    });
+  }
+
+  const masterPath = writeMasterPlaylist(hlsDir, renditions, hasAudio);
+  console.log(`🎞️ HLS package ready: ${jobId}_hls (${renditions.map(r => r.name).join(', ')})`);
+
+  return { masterPath, renditions: renditions.map(r => r.name) };
+}
+
+// Disk usage of everything a job wrote, grouped for per-user storage accounting.
+// Every output is named <jobId>_...; anything unrecognised counts as "other".
+const OUTPUT_KINDS = [
+  ['hls', /_hls$/],
+  ['thumbnails', /_(thumbnail|thumb_|sprites|preview|waveform|peaks)/],
+  ['compressed', /_(compressed|burned)\./],
+  ['converted', /_converted\./],
+  ['subtitles', /_subs_/]
+];
+
+async function measureOutputs(jobId) {
+  const sizes = { thumbnails: 0, compressed: 0, converted: 0, hls: 0, subtitles: 0, other: 0, total: 0 };
+
+  for (const { key, size } of await storage.list(`outputs/${jobId}_`)) {
+    // Classified by the top-level name, so files inside <jobId>_hls/ count as hls
+    const entry = key.slice('outputs/'.length).split('/')[0];
+    const kind = OUTPUT_KINDS.find(([, pattern]) => pattern.test(entry));
+    sizes[kind ? kind[0] : 'other'] += size;
+    sizes.total += size;
+  }
+  return sizes;
+}
+
+// Local input for ffmpeg: the stored file itself where the backend allows, otherwise a download
+async function fetchInput(job, workDir) {
+  return fetchStoredFile(normalizeKey(job.filePath) || `uploads/${job.fileName}`, workDir);
+}
+
+async function fetchStoredFile(key, workDir) {
+  const localPath = storage.localPath(key);
+  if (localPath) return localPath;
+
+  const inputPath = path.join(workDir, path.posix.basename(key));
+  await storage.downloadFile(key, inputPath);
+  return inputPath;
+}
+
+// Editing jobs (settings.edit: { sources: [{ videoId, start?, end? }], crop?, rotate? }) render
+// the new video's original from the owner's other uploads; the usual tasks then process it.
+// Sources are joined at the first one's frame size, crop is a fraction of that frame.
+const EDIT_OUTPUT = { fps: 30, crf: 18, audioBitrate: 192 };
+const EDIT_ROTATE_FILTERS = { 0: [], 90: ['transpose=1'], 180: ['hflip', 'vflip'], 270: ['transpose=2'] };
+
+async function loadEditSources(job, edit) {
+  const result = await pool.query(
+    `SELECT id, file_path, file_name, duration, width, height, metadata->'audio' AS audio
+     FROM videos WHERE id = ANY($1) AND user_id = $2 AND deleted_at IS NULL`,
+    [edit.sources.map(source => source.videoId), job.userId]
+  );
+  const videos = new Map(result.rows.map(row => [row.id, row]));
+
+  return edit.sources.map(source => {
+    const video = videos.get(source.videoId);
+    if (!video) {
+      throw new Error(`Source video ${source.videoId} is no longer available`);
+    }
+    const start = source.start || 0;
+    const end = source.end || video.duration;
+    return { video, start, duration: end - start, hasAudio: Boolean(video.audio) };
+  });
+}
+
+function buildEditFilter(sources, edit) {
+  const first = sources[0].video;
+  // Even dimensions for yuv420p
+  const width = Math.round((first.width || 1280) / 2) * 2;
+  const height = Math.round((first.height || 720) / 2) * 2;
+  const filters = [];
+
+  sources.forEach((source, i) => {
+    filters.push(`[${i}:v:0]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${EDIT_OUTPUT.fps},format=yuv420p[v${i}]`);
+    // concat needs an audio stream from every segment, silent ones get generated silence
+    filters.push(source.hasAudio
+      ? `[${i}:a:0]aresample=48000,aformat=channel_layouts=stereo[a${i}]`
+      : `anullsrc=r=48000:cl=stereo,atrim=duration=${source.duration}[a${i}]`);
+  });
+  filters.push(`${sources.map((source, i) => `[v${i}][a${i}]`).join('')}concat=n=${sources.length}:v=1:a=1[joined][audio]`);
+
+  const picture = [];
+  if (edit.crop) {
+    const { x, y, width: w, height: h } = edit.crop;
+    picture.push(`crop=trunc(iw*${w}/2)*2:trunc(ih*${h}/2)*2:trunc(iw*${x}):trunc(ih*${y})`);
+  }
+  picture.push(...EDIT_ROTATE_FILTERS[edit.rotate || 0]);
+  filters.push(`[joined]${picture.length > 0 ? picture.join(',') : 'null'}[video]`);
+
+  return filters.join(';');
+}
+
+// Renders the edit, stores it as the job's original and returns the path to process it from
+async function renderEdit({ job, workDir }, onProgress = () => {}) {
+  const edit = job.settings.edit;
+  const sources = await loadEditSources(job, edit);
+  const totalDuration = sources.reduce((sum, source) => sum + source.duration, 0);
+  const key = normalizeKey(job.filePath);
+  const outputPath = path.join(workDir, `edit_${path.posix.basename(key)}`);
+
+  // The same upload may be used more than once (e.g. two ranges of one video)
+  const inputs = new Map();
+  for (const source of sources) {
+    if (!inputs.has(source.video.file_path)) {
+      inputs.set(source.video.file_path, await fetchStoredFile(normalizeKey(source.video.file_path), workDir));
+    }
+  }
+
+  await new Promise((resolve, reject) => {
+    const command = trackCommand(job.id, ffmpeg());
+    // One input per segment, each cut with a fast input seek
+    for (const source of sources) {
+      command.input(inputs.get(source.video.file_path))
+        .inputOptions([`-ss ${source.start.toFixed(3)}`, `-t ${source.duration.toFixed(3)}`]);
+    }
+
+    command
+      .complexFilter(buildEditFilter(sources, edit))
+      .outputOptions([
+        '-map [video]',
+        '-map [audio]',
+        '-c:v libx264',
+        '-preset veryfast',
+        `-crf ${EDIT_OUTPUT.crf}`,
+        '-c:a aac',
+        `-b:a ${EDIT_OUTPUT.audioBitrate}k`,
+        '-movflags +faststart'
+      ])
+      .output(outputPath)
+      .on('start', () => {
+        console.log(`✂️ Rendering edit of ${sources.length} segment(s), ${totalDuration.toFixed(1)}s: ${job.id}...`);
+      })
+      // ffmpeg cannot estimate a percentage over several inputs, the output time can
+      .on('progress', (progress) => {
+        const [hours, minutes, seconds] = (progress.timemark || '0:0:0').split(':').map(Number);
+        onProgress({ percent: Math.min(100, ((hours * 3600 + minutes * 60 + seconds) / totalDuration) * 100) });
+      })
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+
+  const { size } = await fs.promises.stat(outputPath);
+  await storage.putFile(key, outputPath);
+  job.fileSize = size;
+  await updateVideoInDatabase(job.dbId || job.id, { fileSize: size });
+  console.log(`✅ Edit rendered: ${key} (${(size / 1024 / 1024).toFixed(2)}MB)`);
+
+  return fetchInput(job, workDir);
+}
+
+// Move everything below outputDir into storage as outputs/<relative path>; returns the keys
+async function storeOutputs(outputDir, dir = outputDir, stored = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      await storeOutputs(outputDir, fullPath, stored);
+    } else {
+      const key = outputKey(outputDir, fullPath);
+      await storage.putFile(key, fullPath);
+      stored.push(key);
+    }
+  }
+  return stored;
+}
+
+// Outputs of an earlier run that this run did not produce again (e.g. reprocessed at a lower
+// resolution, so fewer HLS renditions); custom thumbnails and uploaded subtitles belong to the
+// owner and stay
+async function removeStaleOutputs(jobId, storedKeys) {
+  const stored = new Set(storedKeys);
+
+  for (const { key } of await storage.list(`outputs/${jobId}_`)) {
+    if (!stored.has(key) && !key.includes('_thumbnail_custom_') && !key.includes('_subs_user_')) {
+      await storage.remove(key);
+    }
+  }
+}
+
+function outputKey(outputDir, localPath) {
+  return localPath ? `outputs/${path.relative(outputDir, localPath).split(path.sep).join('/')}` : localPath;
+}
+
+// Job status for /status polling; the database keeps the durable copy
+async function saveJobStatus(job) {
+  await redisClient.set(`job_${job.id}`, JSON.stringify(job), { EX: JOB_STATUS_TTL });
+}
+
+function getRetryDelay(attempts) {
+  return JOB_RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1);
+}
+
+// While a job runs its job_<id>_processing key is refreshed; when it expires the job is reclaimed
+function startHeartbeat(jobId) {
+  const beat = () => redisClient
+    .set(`job_${jobId}_processing`, '1', { EX: JOB_VISIBILITY_TIMEOUT })
+    .catch(err => console.error('Heartbeat failed:', err.message));
+
+  beat();
+  const timer = setInterval(beat, (JOB_VISIBILITY_TIMEOUT * 1000) / 3);
+
+  return async () => {
+    clearInterval(timer);
+    await redisClient.del(`job_${jobId}_processing`);
+  };
+}
+
+// Schedule another attempt with exponential backoff, or dead-letter the job
+async function handleJobFailure(job, rawEntry, error) {
+  const attempts = (job.attempts || 0) + 1;
+
+  if (attempts < JOB_MAX_ATTEMPTS) {
+    const retryAt = Date.now() + getRetryDelay(attempts);
+    const retryJob = { ...resetJobForQueue(job, attempts), lastError: error.message, nextRetryAt: new Date(retryAt).toISOString() };
+
+    await settleJob(redisClient, rawEntry, { to: 'delayed', job: retryJob, score: retryAt });
+    await saveJobStatus(retryJob);
+    await updateVideoInDatabase(job.dbId || job.id, {
+      status: 'queued',
+      attempts,
+      errorMessage: error.message,
+      stepTimings: job.stepTimings
+    });
+
+    await publishJobEvent(retryJob, { error: error.message, nextRetryAt: retryJob.nextRetryAt });
+
+    console.log(`🔁 Retry ${attempts}/${JOB_MAX_ATTEMPTS - 1} scheduled for ${job.fileName} at ${retryJob.nextRetryAt}`);
+    return;
+  }
+
+  const deadJob = { ...job, status: 'failed', attempts, error: error.message, failedAt: new Date().toISOString() };
+
+  await settleJob(redisClient, rawEntry, { to: 'dead', job: deadJob });
+  await saveJobStatus(deadJob);
+  await updateVideoInDatabase(job.dbId || job.id, {
+    status: 'failed',
+    attempts,
+    errorMessage: error.message,
+    stepTimings: job.stepTimings,
+    processingCompletedAt: new Date(deadJob.failedAt)
+  });
+
+  await publishJobEvent(deadJob, { error: error.message });
+
+  console.log(`☠️ Job dead-lettered after ${attempts} attempts: ${job.fileName}`);
+}
+
+// Publish a job event to subscribers; progress streaming must never fail a job
+async function publishJobEvent(job, fields = {}) {
+  try {
+    await redisClient.publish(PROGRESS_CHANNEL, JSON.stringify({
+      jobId: job.id,
+      videoId: job.dbId,
+      userId: job.userId,
+      fileName: job.originalName || job.fileName,
+      status: job.status,
+      progress: job.progress || 0,
+      attempts: job.attempts || 0,
+      timestamp: new Date().toISOString(),
+      ...fields
+    }));
+  } catch (error) {
+    console.error('Progress publish failed:', error.message);
+  }
+}
+
+// Progress callback for one step: maps ffmpeg progress onto the overall bar with fps and ETA
+function createStepReporter(job, step) {
+  const [from, to] = (job.stepRanges && job.stepRanges[step]) || [job.progress || 0, job.progress || 0];
+  const startedAt = Date.now();
+  let lastPublish = 0;
+
+  return (info = {}) => {
+    const stepPercent = Math.min(100, Math.max(0, info.percent || 0));
+    const now = Date.now();
+
+    if (now - lastPublish < PROGRESS_THROTTLE_MS && stepPercent < 100) return;
+    lastPublish = now;
+
+    const elapsed = (now - startedAt) / 1000;
+    job.progress = Math.round(from + ((to - from) * stepPercent) / 100);
+
+    publishJobEvent(job, {
+      step,
+      stepPercent: Math.round(stepPercent),
+      fps: info.currentFps || null,
+      eta: stepPercent > 0 ? Math.round((elapsed * (100 - stepPercent)) / stepPercent) : null,
+      detail: info.detail || null
+    });
+    saveJobStatus(job).catch(err => console.error('Job status save failed:', err.message));
+  };
+}
+
+// Run one processing step, stream its progress and record how long it took on the job
+async function runStep(job, name, fn) {
+  await checkJobControl(job);
+  const startedAt = new Date();
+  const report = createStepReporter(job, name);
+  job.stepTimings = job.stepTimings || {};
+  job.currentStep = name;
+  report({ percent: 0 });
+
+  try {
+    const result = await fn(report);
+    job.stepTimings[name] = { startedAt: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime() };
+    report({ percent: 100 });
+    await recordProgress(job, job.progress);
+    return result;
+  } catch (error) {
+    job.stepTimings[name] = { startedAt: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime(), failed: true };
+    // Killed ffmpeg reports an ordinary error; report the cancel/pause instead
+    throw job.abortRequest ? new JobAbortedError(job.abortRequest) : error;
+  }
+}
+
+class JobAbortedError extends Error {
+  constructor(request) {
+    super(request.action === 'pause' ? 'Job paused' : 'Job cancelled');
+    this.name = 'JobAbortedError';
+    this.request = request;
+  }
+}
+
+// Stop a running job: its ffmpeg processes are killed and the step in progress fails
+function abortJob(job, request) {
+  if (job.abortRequest) return;
+
+  job.abortRequest = request;
+  console.log(`⏹️ ${request.action} requested for ${job.fileName}, stopping ffmpeg`);
+  for (const command of runningCommands.get(job.id) || []) {
+    command.kill('SIGKILL');
+  }
+}
+
+// Picks up cancel/pause requests whose pub/sub message this worker missed
+async function checkJobControl(job) {
+  if (!job.abortRequest) {
+    const control = await redisClient.get(jobControlKey(job.id));
+    if (control) job.abortRequest = JSON.parse(control);
+  }
+  if (job.abortRequest) {
+    throw new JobAbortedError(job.abortRequest);
+  }
+}
+
+// A cancelled or paused job leaves the in-flight list without a retry. Partial outputs only
+// ever exist in the job's scratch directory, which processVideo has already removed.
+async function handleJobAborted(job, rawEntry, request) {
+  const status = request.action === 'pause' ? 'paused' : 'cancelled';
+  const { abortRequest, ...rest } = job;
+  const stoppedJob = { ...resetJobForQueue(rest, 0), status, progress: 0, error: request.reason || undefined };
+
+  await settleJob(redisClient, rawEntry);
+  await redisClient.del(jobControlKey(job.id));
+  await saveJobStatus(stoppedJob);
+  await updateVideoInDatabase(job.dbId || job.id, {
+    status,
+    progress: 0,
+    errorMessage: request.reason || null,
+    stepTimings: job.stepTimings
+  });
+  await publishJobEvent(stoppedJob, { error: request.reason || null });
+
+  console.log(`⏹️ Job ${status}: ${job.fileName}`);
+}
+
+// Push step progress to Redis (for polling) and Postgres (durable)
+async function recordProgress(job, progress) {
+  job.progress = progress;
+  await saveJobStatus(job);
+  await updateVideoInDatabase(job.dbId || job.id, { progress, stepTimings: job.stepTimings });
+}
+
+// Processing tasks a job can declare (job.tasks, written from its preset by upload-service).
+// They run in the declared order; weight is the task's share of the progress bar, settings
+// names the preset section the task encodes with, and requires lists tasks whose results
+// it needs, which must be declared before it.
+const TASKS = {
+  // Editing jobs only: renders the original the other tasks then work from
+  edit: {
+    weight: 40,
+    log: '✂️ Rendering edit...',
+    async run(context, report) {
+      context.inputPath = await renderEdit(context, report);
+    }
+  },
+  metadata: {
+    weight: 5,
+    log: '📋 Extracting metadata...',
+    async run({ job, inputPath }) {
+      const { probe, ...metadata } = await extractMetadata(inputPath);
+      job.metadata = metadata;
+      await updateVideoInDatabase(job.dbId || job.id, {
+        metadata: { ...metadata, probe },
+        // An audio file's title tag names it until the owner sets a title
+        defaultTitle: job.isAudio ? metadata.tags.title : undefined
+      });
+    }
+  },
+  // Embedded text subtitle streams found by the metadata pass, as WebVTT tracks
+  subtitles: {
+    weight: 5,
+    requires: ['metadata'],
+    log: '💬 Extracting subtitles...',
+    async run({ job, inputPath, outputDir }, report) {
+      const streams = job.metadata.subtitles || [];
+      const textStreams = streams.filter(track => TEXT_SUBTITLE_CODECS.includes(track.codec));
+      if (textStreams.length < streams.length) {
+        console.warn(`⚠️ Skipping ${streams.length - textStreams.length} bitmap subtitle stream(s) in ${job.id}`);
+      }
+
+      job.subtitles = [];
+      for (const [index, track] of textStreams.entries()) {
+        // One broken track should not cost the whole video its processing
+        try {
+          const file = await extractSubtitleTrack(inputPath, outputDir, job.id, track);
+          job.subtitles.push({ language: track.language, label: track.title || track.language, source: 'embedded', path: file });
+        } catch (error) {
+          if (job.abortRequest) throw error;
+          console.warn(`⚠️ Subtitle stream ${track.index} failed for ${job.id}: ${error.message}`);
+        }
+        report({ percent: ((index + 1) / textStreams.length) * 100 });
+      }
+    }
+  },
+  thumbnail: {
+    weight: 5,
+    log: '📸 Generating thumbnail...',
+    async run({ job, inputPath, outputDir }) {
+      job.thumbnailPath = await generateThumbnail(inputPath, outputDir, job.id);
+
+      // Candidates are optional, the default thumbnail is enough to carry on
+      try {
+        job.thumbnailCandidates = await generateThumbnailCandidates(inputPath, outputDir, job.id);
+      } catch (error) {
+        console.warn(`⚠️ Thumbnail candidates failed for ${job.id}: ${error.message}`);
+        job.thumbnailCandidates = [];
+      }
+    }
+  },
+  // Sprite sheets and their WebVTT index for seek-bar previews
+  sprites: {
+    weight: 10,
+    requires: ['metadata'],
+    log: '🎞️ Generating seek previews...',
+    async run({ job, inputPath, outputDir }, report) {
+      if (!job.metadata.duration) {
+        console.warn(`⚠️ No duration for ${job.id}, skipping seek previews`);
+        return;
+      }
+      job.spritesPath = await generateSprites(inputPath, outputDir, job.id, job.metadata.duration, report);
+    }
+  },
+  // Short looping clip the library plays while hovering over a video
+  preview: {
+    weight: 5,
+    requires: ['metadata'],
+    log: '🎬 Generating preview clip...',
+    async run({ job, inputPath, outputDir }, report) {
+      if (!job.metadata.duration) {
+        console.warn(`⚠️ No duration for ${job.id}, skipping preview clip`);
+        return;
+      }
+      job.previewPath = await generatePreviewClip(inputPath, outputDir, job.id, job.metadata.duration, report);
+    }
+  },
+  // Progressive file kept for downloads
+  compress: {
+    weight: 35,
+    settings: 'compress',
+    log: '🗜️ Compressing video...',
+    async run({ job, inputPath, outputDir, preset }, report) {
+      const normalizeAudio = preset.normalizeAudio && hasAudioStream(job);
+      job.compressedPath = await compressVideo(inputPath, outputDir, job.id, { ...preset.compress, normalizeAudio }, report);
+    }
+  },
+  // Adaptive HLS rendition ladder, sized from the source dimensions
+  hls: {
+    weight: 55,
+    requires: ['metadata'],
+    log: '🎞️ Packaging HLS renditions...',
+    async run({ job, inputPath, outputDir, preset }, report) {
+      const options = { ...preset.hls, normalizeAudio: preset.normalizeAudio };
+      const hls = await generateHlsPackage(inputPath, outputDir, job.id, job.metadata, options, report);
+      job.hlsPath = hls.masterPath;
+      job.renditions = hls.renditions;
+    }
+  },
+  // Extra download with one subtitle track drawn into the picture (settings.burnSubtitles)
+  burnin: {
+    weight: 35,
+    settings: 'compress',
+    log: '🔤 Burning in subtitles...',
+    async run(context, report) {
+      const { job, inputPath, outputDir, preset } = context;
+      const subtitlesPath = await findBurnInSubtitles(context, preset.burnSubtitles);
+      const normalizeAudio = preset.normalizeAudio && hasAudioStream(job);
+      job.burnedPath = await compressVideo(inputPath, outputDir, job.id, { ...preset.compress, normalizeAudio, subtitlesPath }, report);
+    }
+  },
+  // Embedded cover art as the thumbnail; files without one fall back to the waveform
+  cover: {
+    weight: 5,
+    requires: ['metadata'],
+    log: '🖼️ Extracting cover art...',
+    async run({ job, inputPath, outputDir }) {
+      if (!job.metadata.coverArt) return;
+
+      // Broken cover art should not cost the file its processing
+      try {
+        job.thumbnailPath = await extractCoverArt(inputPath, outputDir, job.id, job.metadata.coverArt);
+      } catch (error) {
+        if (job.abortRequest) throw error;
+        console.warn(`⚠️ Cover art failed for ${job.id}: ${error.message}`);
+      }
+    }
+  },
+  waveform: {
+    weight: 20,
+    requires: ['metadata'],
+    log: '🌊 Rendering waveform...',
+    async run({ job, inputPath, outputDir }, report) {
+      if (!job.metadata.audio || !job.metadata.duration) {
+        console.warn(`⚠️ No audio stream or duration for ${job.id}, skipping waveform`);
+        return;
+      }
+      job.waveformPath = await generateWaveformImage(inputPath, outputDir, job.id);
+      job.peaksPath = await generateWaveformPeaks(inputPath, outputDir, job.id, job.metadata.duration, report);
+      if (!job.thumbnailPath) job.thumbnailPath = job.waveformPath;
+    }
+  },
+  convert: {
+    weight: 90,
+    settings: 'convert',
+    log: '🎵 Converting audio...',
+    async run({ job, inputPath, outputDir, preset }, report) {
+      const options = { ...preset.convert, normalizeAudio: preset.normalizeAudio };
+      job.convertedPath = await convertAudio(inputPath, outputDir, job.id, options, report);
+    }
+  }
+};
+
+// Subtitle file for the burn-in: a track the owner uploaded, else one extracted in this run
+async function findBurnInSubtitles({ job, workDir }, language) {
+  const result = await pool.query('SELECT subtitles FROM videos WHERE id = $1', [job.dbId || job.id]);
+  const uploaded = ((result.rows[0] && result.rows[0].subtitles) || [])
+    .find(track => track.source === 'upload' && track.language === language);
+  if (uploaded) {
+    const localPath = path.join(workDir, path.posix.basename(uploaded.path));
+    await storage.downloadFile(normalizeKey(uploaded.path), localPath);
+    return localPath;
+  }
+
+  const extracted = (job.subtitles || []).find(track => track.language === language);
+  if (extracted) return extracted.path;
+
+  throw new Error(`No ${language} subtitle track to burn in`);
+}
+
+// Without metadata the input is assumed to have audio
+function hasAudioStream(job) {
+  return job.metadata ? !!job.metadata.audio : true;
+}
+
+// Check the declared tasks before any work starts and split the progress bar between them
+function planTasks(job, tasks, preset) {
+  const declared = new Set();
+
+  for (const name of tasks) {
+    const task = TASKS[name];
+    if (!task) {
+      throw new Error(`Unknown processing task: ${name}`);
+    }
+    const missing = (task.requires || []).filter(required => !declared.has(required));
+    if (missing.length > 0) {
+      throw new Error(`Task ${name} needs ${missing.join(', ')} to run first`);
+    }
+    if (task.settings && !preset[task.settings]) {
+      throw new Error(`Preset ${preset.name} has no ${task.settings} settings for task ${name}`);
+    }
+    declared.add(name);
+  }
+
+  const totalWeight = tasks.reduce((sum, name) => sum + TASKS[name].weight, 0);
+  let from = 0;
+  job.stepRanges = {};
+  for (const name of tasks) {
+    const to = from + (TASKS[name].weight / totalWeight) * 100;
+    job.stepRanges[name] = [Math.round(from), Math.round(to)];
+    from = to;
+  }
+}
+
 // Main processing function
 async function processVideo(job) {
-  const { id, dbId, filePath, fileName, isAudio } = job;
-  const outputDir = '/app/outputs';
+  const { id, dbId, fileName, isAudio } = job;
+  const workDir = path.join(WORK_DIR, id);
+  const outputDir = path.join(workDir, 'outputs');
   
   try {
+    // Leftovers from an attempt that crashed are discarded
+    fs.rmSync(workDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    // Preset settings (with any reprocess overrides) and the tasks the job declares;
+    // jobs queued without a task list run the preset's
+    const preset = resolvePreset(job.preset, isAudio, job.settings || {});
+    const tasks = job.tasks && job.tasks.length > 0 ? job.tasks : preset.tasks;
+    planTasks(job, tasks, preset);
+
     // Update job status
     job.status = 'processing';
     job.startedAt = new Date().toISOString();
     job.progress = 0;
-    await redisClient.set(`job_${id}`, JSON.stringify(job));
-    await redisClient.set(`job_${id}_processing`, '1', { EX: 3600 }); // Expire in 1 hour
-    
-    console.log(`🚀 Processing started: ${fileName} (${isAudio ? 'Audio' : 'Video'})`);
-    
-    // Step 1: Extract metadata
-    console.log(`📋 Extracting metadata...`);
-    const metadata = await extractMetadata(filePath);
-    job.metadata = metadata;
-    job.progress = isAudio ? 50 : 33;
-    await redisClient.set(`job_${id}`, JSON.stringify(job));
+    job.stepTimings = {};
+    await saveJobStatus(job);
+    await updateVideoInDatabase(dbId || id, {
+      status: 'processing',
+      progress: 0,
+      attempts: (job.attempts || 0) + 1,
+      errorMessage: null,
+      processingStartedAt: new Date(job.startedAt),
+      processingCompletedAt: null
+    });
+    await publishJobEvent(job);
     
-    if (isAudio) {
-      // For audio files: just convert to MP3
-      console.log(`🎵 Converting audio...`);
-      const convertedPath = await convertAudio(filePath, outputDir, id);
-      job.convertedPath = convertedPath;
-      job.progress = 100;
-    } else {
-      // For video files: generate thumbnail and compress
-      // Step 2: Generate thumbnail
-      console.log(`📸 Generating thumbnail...`);
-      const thumbnailPath = await generateThumbnail(filePath, outputDir, id);
-      job.thumbnailPath = thumbnailPath;
-      job.progress = 66;
-      await redisClient.set(`job_${id}`, JSON.stringify(job));
-      
-      // Step 3: Compress video
-      console.log(`🗜️ Compressing video...`);
-      const compressedPath = await compressVideo(filePath, outputDir, id);
-      job.compressedPath = compressedPath;
-      job.progress = 100;
+    console.log(`🚀 Processing started: ${fileName} (${isAudio ? 'Audio' : 'Video'}, preset ${preset.name}: ${tasks.join(' → ')})`);
+    // An editing job's original does not exist until its edit task has rendered it
+    const inputPath = tasks.includes('edit') ? null : await fetchInput(job, workDir);
+    const context = { job, preset, workDir, outputDir, inputPath };
+
+    for (const name of tasks) {
+      console.log(TASKS[name].log);
+      await runStep(job, name, report => TASKS[name].run(context, report));
     }
+
+    // Publish the outputs and keep their storage keys instead of scratch paths
+    await checkJobControl(job);
+    const storedKeys = await storeOutputs(outputDir);
+    await removeStaleOutputs(id, storedKeys);
+    job.thumbnailPath = outputKey(outputDir, job.thumbnailPath);
+    job.thumbnailCandidates = job.thumbnailCandidates && job.thumbnailCandidates.map(file => outputKey(outputDir, file));
+    job.compressedPath = outputKey(outputDir, job.compressedPath);
+    job.convertedPath = outputKey(outputDir, job.convertedPath);
+    job.hlsPath = outputKey(outputDir, job.hlsPath);
+    job.burnedPath = outputKey(outputDir, job.burnedPath);
+    job.spritesPath = outputKey(outputDir, job.spritesPath);
+    job.previewPath = outputKey(outputDir, job.previewPath);
+    job.waveformPath = outputKey(outputDir, job.waveformPath);
+    job.peaksPath = outputKey(outputDir, job.peaksPath);
+    job.subtitles = job.subtitles && job.subtitles.map(track => ({ ...track, path: outputKey(outputDir, track.path) }));
+    delete job.stepRanges;
     
     // Final update
+    job.progress = 100;
+    job.currentStep = null;
     job.status = 'completed';
     job.completedAt = new Date().toISOString();
     job.processingTime = new Date(job.completedAt) - new Date(job.startedAt);
     
-    await redisClient.set(`job_${id}`, JSON.stringify(job));
-    await redisClient.del(`job_${id}_processing`);
+    await saveJobStatus(job);
     
     // Update database
+    // Outputs this run's tasks did not produce are cleared (their files were removed above)
     const dbUpdates = {
       status: 'completed',
-      thumbnailPath: job.thumbnailPath,
-      compressedPath: job.compressedPath,
-      convertedPath: job.convertedPath
+      progress: 100,
+      thumbnailPath: job.thumbnailPath || null,
+      thumbnailCandidates: job.thumbnailCandidates || null,
+      compressedPath: job.compressedPath || null,
+      convertedPath: job.convertedPath || null,
+      hlsPath: job.hlsPath || null,
+      burnedPath: job.burnedPath || null,
+      spritesPath: job.spritesPath || null,
+      previewPath: job.previewPath || null,
+      waveformPath: job.waveformPath || null,
+      peaksPath: job.peaksPath || null,
+      subtitles: job.subtitles || [],
+      stepTimings: job.stepTimings,
+      outputSizes: await measureOutputs(id),
+      processingCompletedAt: new Date(job.completedAt)
     };
     
     if (job.metadata) {
@@ -290,37 +1507,286 @@ async function processVideo(job) {
     }
     
     await updateVideoInDatabase(dbId || id, dbUpdates);
+    await publishJobEvent(job);
     
     console.log(`✅ Processing completed: ${fileName} (${job.processingTime}ms)`);
     
   } catch (error) {
+    // Cancel/pause is settled by runJob, it is not a failure
+    if (error instanceof JobAbortedError) throw error;
+
     console.error(`❌ Processing failed: ${fileName}`, error.message);
     
     job.status = 'failed';
     job.error = error.message;
     job.completedAt = new Date().toISOString();
     
-    await redisClient.set(`job_${id}`, JSON.stringify(job));
-    await redisClient.del(`job_${id}_processing`);
+    await saveJobStatus(job);
+
+    // Retry or dead-letter is decided by the queue handling in runJob
+    throw error;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Videos moved to trash (or deleted) while their job was still queued are skipped
+async function isVideoDeleted(dbId) {
+  if (!dbId) return false;
+
+  const result = await pool.query('SELECT deleted_at FROM videos WHERE id = $1', [dbId]);
+  return result.rows.length === 0 || result.rows[0].deleted_at !== null;
+}
+
+// Permanently remove a deleted video: original, derived outputs, job keys, queue entries and the row
+async function purgeVideo(video) {
+  for (const key of [video.file_path, video.thumbnail_path, video.compressed_path, video.converted_path]) {
+    if (key) await storage.remove(normalizeKey(key));
+  }
+  if (video.hls_path) {
+    await storage.removePrefix(`${path.posix.dirname(normalizeKey(video.hls_path))}/`);
+  }
+
+  if (video.job_id) {
+    // Every output is named <jobId>_..., so sweep storage for anything not tracked in a column
+    await storage.removePrefix(`outputs/${video.job_id}_`);
+
+    await redisClient.del([`job_${video.job_id}`, `job_${video.job_id}_processing`]);
+  }
+
+  await removeVideoJobs(redisClient, video.user_id, video.id, { includeDead: true });
+
+  await pool.query('DELETE FROM videos WHERE id = $1', [video.id]);
+}
+
+// A video is left alone while a job for it runs on this worker or any other one
+async function isVideoProcessing(video, inFlight) {
+  if ([...activeJobs.values()].some(job => job.dbId === video.id)) return true;
+  if (inFlight.some(job => job.dbId === video.id || (video.job_id && job.id === video.job_id))) return true;
+  return Boolean(video.job_id && await redisClient.exists(`job_${video.job_id}_processing`));
+}
+
+async function purgeDeletedVideos() {
+  try {
+    const result = await pool.query(
+      `SELECT id, user_id, job_id, file_path, thumbnail_path, compressed_path, converted_path, hls_path
+       FROM videos WHERE purge_at IS NOT NULL AND purge_at <= NOW()`
+    );
+    if (result.rows.length === 0) return;
+
+    // Jobs in flight on any worker, not just this one
+    const inFlight = (await redisClient.lRange(PROCESSING_KEY, 0, -1)).map(parseQueueEntry);
+
+    for (const video of result.rows) {
+      if (await isVideoProcessing(video, inFlight)) {
+        continue; // Picked up again on the next sweep once processing has finished
+      }
+
+      try {
+        await purgeVideo(video);
+        console.log(`🗑️ Video purged: ${video.id}`);
+      } catch (error) {
+        console.error(`Purge failed for video ${video.id}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Purge sweep failed:', error);
+  }
+}
+
+// Deleted accounts are removed once the purge sweep has taken all of their videos;
+// sessions and account tokens go with the row (ON DELETE CASCADE)
+async function purgeDeletedAccounts() {
+  try {
+    const result = await pool.query(
+      `DELETE FROM users u
+       WHERE u.deleted_at IS NOT NULL
+         AND NOT EXISTS (SELECT 1 FROM videos v WHERE v.user_id = u.id)
+       RETURNING id`
+    );
+
+    for (const user of result.rows) {
+      console.log(`🗑️ Account purged: ${user.id}`);
+    }
+  } catch (error) {
+    console.error('Account purge failed:', error);
+  }
+}
+
+// Delayed retries and scheduled jobs whose time has come go back on their user's queue
+async function promoteDueRetries() {
+  const due = await redisClient.zRangeByScore(DELAYED_KEY, 0, Date.now());
+
+  for (const entry of due) {
+    if (await promoteDelayedJob(redisClient, entry)) {
+      const job = parseQueueEntry(entry);
+      console.log(`⏰ ${job.nextRetryAt ? 'Retry' : 'Scheduled job'} due, requeued: ${job.fileName}`);
+    }
+  }
+}
+
+// In-flight entries whose heartbeat was already missing on the previous sweep
+let suspectedStaleEntries = new Set();
+
+// Requeue jobs from workers that died mid-processing (OOM kill, container restart, ...)
+async function recoverStaleJobs() {
+  const inFlight = await redisClient.lRange(PROCESSING_KEY, 0, -1);
+  const stillMissing = new Set();
+
+  for (const entry of inFlight) {
+    const job = parseQueueEntry(entry);
+    if (!job.id || activeJobs.has(job.id)) continue;
+
+    if (await redisClient.exists(`job_${job.id}_processing`)) continue;
+
+    // Two sweeps in a row without a heartbeat covers the gap between claim and first beat
+    if (!suspectedStaleEntries.has(entry)) {
+      stillMissing.add(entry);
+      continue;
+    }
+
+    const attempts = (job.attempts || 0) + 1;
+    const error = 'Worker stopped responding during processing';
+
+    if (attempts < JOB_MAX_ATTEMPTS) {
+      const retryJob = { ...resetJobForQueue(job, attempts), lastError: error };
+      if (await settleJob(redisClient, entry, { to: 'queue', job: retryJob })) {
+        await saveJobStatus(retryJob);
+        await updateVideoInDatabase(job.dbId || job.id, { status: 'queued', attempts, errorMessage: error });
+        console.log(`🩹 Recovered stalled job: ${job.fileName} (attempt ${attempts + 1}/${JOB_MAX_ATTEMPTS})`);
+      }
+    } else {
+      const deadJob = { ...job, status: 'failed', attempts, error, failedAt: new Date().toISOString() };
+      if (await settleJob(redisClient, entry, { to: 'dead', job: deadJob })) {
+        await saveJobStatus(deadJob);
+        await updateVideoInDatabase(job.dbId || job.id, {
+          status: 'failed',
+          attempts,
+          errorMessage: error,
+          processingCompletedAt: new Date(deadJob.failedAt)
+        });
+        console.log(`☠️ Stalled job dead-lettered: ${job.fileName}`);
+      }
+    }
+  }
+
+  suspectedStaleEntries = stillMissing;
+}
+
+async function queueMaintenance() {
+  try {
+    const migrated = await migrateLegacyQueue(redisClient);
+    if (migrated > 0) {
+      console.log(`📦 Moved ${migrated} jobs from the old single queue to per-user queues`);
+    }
+    await promoteDueRetries();
+    await recoverStaleJobs();
+  } catch (error) {
+    console.error('Queue maintenance failed:', error);
+  }
+}
+
+// Process one claimed job and settle its in-flight entry
+async function runJob(job, rawEntry) {
+  job.workerId = WORKER_ID;
+  activeJobs.set(job.id, job);
+  registerWorker();
+  const stopHeartbeat = startHeartbeat(job.id);
+
+  try {
+    await processVideo(job);
+    await settleJob(redisClient, rawEntry);
+    await redisClient.del(jobControlKey(job.id));
+  } catch (error) {
+    if (error instanceof JobAbortedError) {
+      await handleJobAborted(job, rawEntry, error.request);
+    } else {
+      await handleJobFailure(job, rawEntry, error);
+    }
+  } finally {
+    await stopHeartbeat();
+    runningCommands.delete(job.id);
+    activeJobs.delete(job.id);
+    registerWorker();
+  }
+}
+
+// Announce this worker and what it is processing; called on a timer and whenever a job starts or ends
+async function registerWorker() {
+  const info = {
+    id: WORKER_ID,
+    hostname: os.hostname(),
+    pid: process.pid,
+    concurrency: WORKER_CONCURRENCY,
+    startedAt: WORKER_STARTED_AT,
+    lastSeen: new Date().toISOString(),
+    memory: process.memoryUsage().rss,
+    jobs: [...activeJobs.values()].map(job => ({
+      id: job.id,
+      dbId: job.dbId,
+      userId: job.userId,
+      fileName: job.originalName || job.fileName,
+      preset: job.preset || null,
+      step: job.currentStep || null,
+      progress: job.progress || 0,
+      startedAt: job.startedAt || null
+    }))
+  };
+
+  try {
+    await redisClient.multi()
+      .sAdd(WORKERS_KEY, WORKER_ID)
+      .set(workerKey(WORKER_ID), JSON.stringify(info), { EX: WORKER_TTL })
+      .exec();
+  } catch (error) {
+    console.error('Worker registration failed:', error.message);
+  }
+}
+
+// Videos processed before storage accounting existed get their outputs measured once
+async function backfillOutputSizes() {
+  try {
+    const result = await pool.query(
+      `SELECT id, COALESCE(job_id, split_part(file_name, '_', 1) || '_' || split_part(file_name, '_', 2)) AS output_prefix
+       FROM videos WHERE status = 'completed' AND output_sizes IS NULL AND purge_at IS NULL`
+    );
+
+    for (const video of result.rows) {
+      await updateVideoInDatabase(video.id, { outputSizes: await measureOutputs(video.output_prefix) });
+    }
+    if (result.rows.length > 0) {
+      console.log(`💾 Output sizes measured for ${result.rows.length} existing videos`);
+    }
+  } catch (error) {
+    console.error('Output size backfill failed:', error);
   }
 }
 
-// Worker loop
-async function workerLoop() {
-  console.log('🔄 Worker started, listening for jobs...');
+// Worker loop; WORKER_CONCURRENCY of them run side by side, each processing one job at a time
+async function workerLoop(slot) {
+  console.log(`🔄 Worker slot ${slot} started, listening for jobs...`);
   
   while (true) {
     try {
-      // Get job from queue (blocking pop with 5 second timeout)
-      const jobData = await redisClient.brPop('video_jobs', 5);
-      
-      if (jobData) {
-        const job = JSON.parse(jobData.element);
-        console.log(`📥 Received job: ${job.fileName}`);
-        
-        // Process the job
-        await processVideo(job);
+      // Atomically claim a job into the in-flight list, polling while the queue is empty
+      const rawEntry = await claimJob(redisClient);
+
+      if (!rawEntry) {
+        await new Promise(resolve => setTimeout(resolve, CLAIM_POLL_MS));
+        continue;
       }
+
+      const job = parseQueueEntry(rawEntry);
+      console.log(`📥 Slot ${slot} received job: ${job.fileName}`);
+
+      if (!job.id || await isVideoDeleted(job.dbId)) {
+        console.log(`⏭️ Skipping job for deleted video: ${job.fileName}`);
+        await settleJob(redisClient, rawEntry);
+        continue;
+      }
+      
+      // Process the job
+      await runJob(job, rawEntry);
       
       // Small delay to prevent high CPU usage
       await new Promise(resolve => setTimeout(resolve, 100));
@@ -333,7 +1799,38 @@ async function workerLoop() {
 }
 
 // Start worker
-workerLoop();
+storage.init().catch(error => console.error('Storage init error:', error));
+console.log(`👷 Worker ${WORKER_ID} running ${WORKER_CONCURRENCY} job(s) at a time`);
+for (let slot = 1; slot <= WORKER_CONCURRENCY; slot++) {
+  workerLoop(slot);
+}
+backfillOutputSizes();
+
+registerWorker();
+setInterval(registerWorker, WORKER_HEARTBEAT_MS);
+
+// Leave the registry on docker stop; jobs still in flight are recovered once their heartbeat expires
+process.on('SIGTERM', async () => {
+  console.log(`👋 Worker ${WORKER_ID} shutting down`);
+  try {
+    await redisClient.multi()
+      .sRem(WORKERS_KEY, WORKER_ID)
+      .del(workerKey(WORKER_ID))
+      .exec();
+  } catch (error) {
+    console.error('Worker deregistration failed:', error.message);
+  }
+  process.exit(0);
+});
+
+// Sweep the trash for videos past their retention period, then accounts left without videos
+setInterval(async () => {
+  await purgeDeletedVideos();
+  await purgeDeletedAccounts();
+}, PURGE_INTERVAL_MS);
+
+// Promote due retries and reclaim jobs from dead workers
+setInterval(queueMaintenance, RECOVERY_INTERVAL_MS);
 
 // Start HTTP server for health checks and stats
 app.listen(PORT, '0.0.0.0', () => {
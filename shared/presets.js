@@ -0,0 +1,185 @@
+const fs = require('fs');
+
+// Processing presets for every service that builds or runs jobs.
+// upload-service checks the preset picked at upload time and writes its task list onto the job;
+// the worker resolves the preset again when the job runs and hands every task its settings.
+// PRESETS_FILE may point at a JSON file (mounted into every service) whose presets are added
+// to, or replace by name, the built-in ones. DEFAULT_PRESET is used when none is picked.
+//
+// A preset has a task list and settings for videos and for audio files:
+//   video.compress - progressive download file: container (mp4/webm), videoCodec, audioCodec,
+//                    width or height (the other side follows the aspect ratio), kbps bitrates
+//   video.hls      - adaptive streaming ladder: rungs up to maxHeight
+//   audio.convert  - container (mp3/m4a), audioCodec, audioBitrate, optional channels/sampleRate
+//   normalizeAudio - EBU R128 loudness normalisation (ffmpeg loudnorm) on every audio output
+// Video task lists include "subtitles" (embedded text tracks to WebVTT); a job that asks for
+// burned-in subtitles (settings.burnSubtitles) also gets "burnin", encoded with video.compress.
+// Audio task lists include "cover" (embedded cover art as the thumbnail) and "waveform"
+// (waveform image plus peaks JSON). A job may pick another AUDIO_FORMATS entry (settings.audioFormat)
+// and switch normalizeAudio on or off (settings.normalizeAudio).
+// Editing jobs (settings.edit) start with "edit", which renders the original from other uploads.
+
+// Output formats an audio job can ask for instead of the preset's convert container/codec
+const AUDIO_FORMATS = {
+  mp3: { container: 'mp3', audioCodec: 'libmp3lame' },
+  aac: { container: 'm4a', audioCodec: 'aac' },
+  opus: { container: 'ogg', audioCodec: 'libopus' },
+  // Lossless, so there is no bitrate to pick
+  flac: { container: 'flac', audioCodec: 'flac', audioBitrate: null }
+};
+
+const BUILTIN_PRESETS = {
+  standard: {
+    label: 'Standard',
+    description: '720p MP4 download plus adaptive HLS streaming up to 1080p',
+    video: {
+      tasks: ['metadata', 'subtitles', 'thumbnail', 'sprites', 'preview', 'compress', 'hls'],
+      compress: { container: 'mp4', videoCodec: 'libx264', audioCodec: 'aac', width: 720, videoBitrate: 1000, audioBitrate: 128 },
+      hls: { maxHeight: 1080 }
+    },
+    audio: {
+      tasks: ['metadata', 'cover', 'waveform', 'convert'],
+      convert: { container: 'mp3', audioCodec: 'libmp3lame', audioBitrate: 128 }
+    },
+    normalizeAudio: false
+  },
+  high: {
+    label: 'High quality',
+    description: '1080p MP4 download at a high bitrate plus HLS up to 1080p',
+    video: {
+      tasks: ['metadata', 'subtitles', 'thumbnail', 'sprites', 'preview', 'compress', 'hls'],
+      compress: { container: 'mp4', videoCodec: 'libx264', audioCodec: 'aac', height: 1080, videoBitrate: 4000, audioBitrate: 192 },
+      hls: { maxHeight: 1080 }
+    },
+    audio: {
+      tasks: ['metadata', 'cover', 'waveform', 'convert'],
+      convert: { container: 'mp3', audioCodec: 'libmp3lame', audioBitrate: 256 }
+    },
+    normalizeAudio: false
+  },
+  mobile: {
+    label: 'Mobile / low bandwidth',
+    description: '480p MP4 download plus HLS up to 480p, small files',
+    video: {
+      tasks: ['metadata', 'subtitles', 'thumbnail', 'sprites', 'preview', 'compress', 'hls'],
+      compress: { container: 'mp4', videoCodec: 'libx264', audioCodec: 'aac', height: 480, videoBitrate: 700, audioBitrate: 96 },
+      hls: { maxHeight: 480 }
+    },
+    audio: {
+      tasks: ['metadata', 'cover', 'waveform', 'convert'],
+      convert: { container: 'mp3', audioCodec: 'libmp3lame', audioBitrate: 96 }
+    },
+    normalizeAudio: false
+  },
+  webm: {
+    label: 'WebM (VP9/Opus)',
+    description: '720p WebM download, no HLS packaging',
+    video: {
+      tasks: ['metadata', 'subtitles', 'thumbnail', 'sprites', 'preview', 'compress'],
+      compress: { container: 'webm', videoCodec: 'libvpx-vp9', audioCodec: 'libopus', width: 720, videoBitrate: 800, audioBitrate: 96 }
+    },
+    audio: {
+      tasks: ['metadata', 'cover', 'waveform', 'convert'],
+      convert: { container: 'm4a', audioCodec: 'aac', audioBitrate: 128 }
+    },
+    normalizeAudio: false
+  },
+  speech: {
+    label: 'Speech / podcast',
+    description: 'Loudness-normalised audio; videos get a 480p MP4 without HLS',
+    video: {
+      tasks: ['metadata', 'subtitles', 'thumbnail', 'sprites', 'preview', 'compress'],
+      compress: { container: 'mp4', videoCodec: 'libx264', audioCodec: 'aac', height: 480, videoBitrate: 600, audioBitrate: 96 }
+    },
+    audio: {
+      tasks: ['metadata', 'cover', 'waveform', 'convert'],
+      convert: { container: 'mp3', audioCodec: 'libmp3lame', audioBitrate: 96, channels: 1, sampleRate: 44100 }
+    },
+    normalizeAudio: true
+  }
+};
+
+function loadPresets() {
+  if (!process.env.PRESETS_FILE) return BUILTIN_PRESETS;
+
+  const custom = JSON.parse(fs.readFileSync(process.env.PRESETS_FILE, 'utf8'));
+  console.log(`🎛️ Loaded ${Object.keys(custom).length} presets from ${process.env.PRESETS_FILE}`);
+  return { ...BUILTIN_PRESETS, ...custom };
+}
+
+const PRESETS = loadPresets();
+const DEFAULT_PRESET = process.env.DEFAULT_PRESET || 'standard';
+
+if (!PRESETS[DEFAULT_PRESET]) {
+  throw new Error(`Unknown DEFAULT_PRESET: ${DEFAULT_PRESET}`);
+}
+
+function hasPreset(name) {
+  return Object.prototype.hasOwnProperty.call(PRESETS, name);
+}
+
+// Name, label and what each preset does, for the upload form
+function listPresets() {
+  return Object.entries(PRESETS).map(([name, preset]) => ({
+    name,
+    label: preset.label || name,
+    description: preset.description || '',
+    videoTasks: preset.video ? preset.video.tasks : [],
+    audioTasks: preset.audio ? preset.audio.tasks : [],
+    isDefault: name === DEFAULT_PRESET
+  }));
+}
+
+// Tasks a job for this preset (and these per-job overrides) declares
+function buildTasks(name, isAudio, overrides = {}) {
+  return resolvePreset(name, isAudio, overrides).tasks;
+}
+
+// Settings for one job: the preset's section for the media type, with per-job overrides
+// ({ height, videoBitrate, audioBitrate, burnSubtitles, audioFormat, normalizeAudio, edit }, picked
+// at upload, for an edit or on a reprocess) applied on top
+function resolvePreset(name, isAudio, overrides = {}) {
+  const presetName = hasPreset(name) ? name : DEFAULT_PRESET;
+  const preset = PRESETS[presetName];
+  const section = preset[isAudio ? 'audio' : 'video'];
+
+  const resolved = {
+    name: presetName,
+    tasks: [...section.tasks],
+    compress: section.compress ? { ...section.compress } : null,
+    hls: section.hls ? { ...section.hls } : null,
+    convert: section.convert ? { ...section.convert } : null,
+    normalizeAudio: Boolean(preset.normalizeAudio),
+    burnSubtitles: null
+  };
+
+  if (resolved.compress) {
+    if (overrides.height) {
+      resolved.compress.height = overrides.height;
+      delete resolved.compress.width;
+    }
+    if (overrides.videoBitrate) resolved.compress.videoBitrate = overrides.videoBitrate;
+    if (overrides.audioBitrate) resolved.compress.audioBitrate = overrides.audioBitrate;
+  }
+  if (resolved.convert && overrides.audioBitrate) {
+    resolved.convert.audioBitrate = overrides.audioBitrate;
+  }
+  if (resolved.convert && AUDIO_FORMATS[overrides.audioFormat]) {
+    Object.assign(resolved.convert, AUDIO_FORMATS[overrides.audioFormat]);
+  }
+  if (typeof overrides.normalizeAudio === 'boolean') {
+    resolved.normalizeAudio = overrides.normalizeAudio;
+  }
+  if (overrides.edit && !isAudio) {
+    resolved.tasks.unshift('edit');
+  }
+  // The burned-in copy is an extra download next to the normal outputs
+  if (resolved.compress && overrides.burnSubtitles) {
+    resolved.burnSubtitles = overrides.burnSubtitles;
+    resolved.tasks.push('burnin');
+  }
+
+  return resolved;
+}
+
+module.exports = { DEFAULT_PRESET, AUDIO_FORMATS, hasPreset, listPresets, buildTasks, resolvePreset };
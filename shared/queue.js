@@ -0,0 +1,475 @@
+// Redis job queue, shared by upload-service, processing-worker and auth-service.
+// Jobs are JSON entries. Waiting jobs sit in one list per priority and user
+// (video_jobs:<priority>:user:<userId>, oldest on the right) and video_jobs_users:<priority> holds the
+// users that have any at that priority, so a claim only looks at the head of each user's list.
+// A claimed job moves to video_jobs_processing while it runs (video_jobs_running counts them per
+// user), failed attempts and scheduled jobs wait in video_jobs_delayed (score = time to run) and
+// jobs that used up their attempts end up in video_jobs_dead.
+// Only Node built-ins and other shared modules may be required here: the services each bring
+// their own node_modules.
+
+const { DEFAULT_PRESET, buildTasks } = require('./presets');
+
+const QUEUE_PREFIX = 'video_jobs:';
+const WAITING_USERS_PREFIX = 'video_jobs_users:';
+const PROCESSING_KEY = 'video_jobs_processing';
+const RUNNING_KEY = 'video_jobs_running';
+const DELAYED_KEY = 'video_jobs_delayed';
+const DEAD_KEY = 'video_jobs_dead';
+
+// When each user last had a job claimed, for fair scheduling (see CLAIM_SCRIPT)
+const LAST_CLAIM_KEY = 'video_jobs_last_claim';
+
+// Earlier layouts, moved over by migrateLegacyQueue: one list for everything, then one list per user
+const LEGACY_QUEUE_KEY = 'video_jobs';
+const LEGACY_USER_QUEUE_PREFIX = 'video_jobs:user:';
+const LEGACY_WAITING_USERS_KEY = 'video_jobs_users';
+
+// Queue priorities, higher is claimed first; jobs without one (or an unknown one) are normal
+const JOB_PRIORITIES = { low: 0, normal: 1, high: 2, urgent: 3 };
+const PRIORITY_LEVELS = Object.values(JOB_PRIORITIES).sort((a, b) => b - a);
+
+// Worker registry kept by processing-worker: ids in video_workers, details in worker_<id>,
+// which expires unless the worker keeps refreshing it
+const WORKERS_KEY = 'video_workers';
+
+// Cancel/pause requests for a running job: a job_<id>_control key the worker checks between
+// steps, plus a message on this channel so it can kill ffmpeg straight away
+const CONTROL_CHANNEL = 'job_control';
+const CONTROL_TTL = 24 * 60 * 60; // seconds
+
+function parseQueueEntry(entry) {
+  try {
+    return JSON.parse(entry);
+  } catch (error) {
+    console.error('Skipping malformed queue entry:', error.message);
+    return {};
+  }
+}
+
+// Strip per-attempt state before a job goes back on the queue
+function resetJobForQueue(job, attempts = 0) {
+  const {
+    status, progress, startedAt, completedAt, processingTime, error, failedAt, nextRetryAt, currentStep, workerId,
+    ...rest
+  } = job;
+  return { ...rest, status: 'queued', attempts, lastError: error || job.lastError };
+}
+
+// Processing job for an existing video (restored, resumed or reprocessed); it starts from scratch.
+// processing_settings holds the preset plus any encoding overrides from a reprocess.
+function buildJobFromVideo(video) {
+  const isAudio = (video.mime_type || '').startsWith('audio/');
+  const { preset = DEFAULT_PRESET, ...settings } = video.processing_settings || {};
+
+  return {
+    id: video.job_id,
+    dbId: video.id,
+    userId: video.user_id,
+    originalName: video.original_name,
+    fileName: video.file_name,
+    filePath: video.file_path,
+    fileSize: Number(video.file_size),
+    mimeType: video.mime_type,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    isAudio: isAudio,
+    preset: preset,
+    tasks: buildTasks(preset, isAudio, settings),
+    priority: jobPriority({ priority: video.priority }),
+    ...(Object.keys(settings).length > 0 ? { settings } : {}),
+    ...(video.scheduled_for && new Date(video.scheduled_for) > new Date() ? { scheduledFor: new Date(video.scheduled_for).toISOString() } : {})
+  };
+}
+
+// Queue key of the user a job belongs to ('' for entries without one)
+function jobUser(job) {
+  return job.userId === undefined || job.userId === null ? '' : String(job.userId);
+}
+
+function jobPriority(job) {
+  return PRIORITY_LEVELS.includes(job.priority) ? job.priority : JOB_PRIORITIES.normal;
+}
+
+function userQueueKey(priority, userId) {
+  return `${QUEUE_PREFIX}${priority}:user:${userId === undefined || userId === null ? '' : userId}`;
+}
+
+function waitingUsersKey(priority) {
+  return WAITING_USERS_PREFIX + priority;
+}
+
+// Scheduled jobs wait in the delayed set until their time; the worker moves them onto the queue
+async function enqueueJob(redisClient, job) {
+  if (job.scheduledFor && new Date(job.scheduledFor) > new Date()) {
+    await redisClient.zAdd(DELAYED_KEY, { score: new Date(job.scheduledFor).getTime(), value: JSON.stringify(job) });
+    return;
+  }
+
+  const user = jobUser(job);
+  const priority = jobPriority(job);
+  await redisClient.multi()
+    .lPush(userQueueKey(priority, user), JSON.stringify(job))
+    .sAdd(waitingUsersKey(priority), user)
+    .exec();
+}
+
+// Claim the next job: the highest priority waiting, then fairly between users: the user with the
+// fewest jobs in flight goes first, ties go to the user whose last job was claimed longest ago, and a
+// user's own jobs stay in upload order. One user's bulk upload therefore takes turns with everyone
+// else's jobs instead of blocking them. Only the waiting users and the counters are read, never the
+// jobs behind each user's head.
+const CLAIM_SCRIPT = `
+for i = 4, #ARGV do
+  local usersKey = ARGV[3] .. ARGV[i]
+  local queuePrefix = ARGV[2] .. ARGV[i] .. ':user:'
+  local best, bestRunning, bestLast
+  for _, user in ipairs(redis.call('SMEMBERS', usersKey)) do
+    if redis.call('LLEN', queuePrefix .. user) == 0 then
+      redis.call('SREM', usersKey, user)
+    else
+      local running = tonumber(redis.call('HGET', KEYS[1], user) or '0')
+      local last = tonumber(redis.call('HGET', KEYS[2], user) or '0')
+      if best == nil or running < bestRunning or (running == bestRunning and last < bestLast) then
+        best, bestRunning, bestLast = user, running, last
+      end
+    end
+  end
+
+  if best ~= nil then
+    local entry = redis.call('RPOP', queuePrefix .. best)
+    if redis.call('LLEN', queuePrefix .. best) == 0 then
+      redis.call('SREM', usersKey, best)
+    end
+    redis.call('LPUSH', KEYS[3], entry)
+    redis.call('HINCRBY', KEYS[1], best, 1)
+    redis.call('HSET', KEYS[2], best, ARGV[1])
+    return entry
+  end
+end
+return false`;
+
+// Atomically move the next job into the in-flight list; null when nothing is waiting
+async function claimJob(redisClient) {
+  return redisClient.eval(CLAIM_SCRIPT, {
+    keys: [RUNNING_KEY, LAST_CLAIM_KEY, PROCESSING_KEY],
+    arguments: [String(Date.now()), QUEUE_PREFIX, WAITING_USERS_PREFIX, ...PRIORITY_LEVELS.map(String)]
+  });
+}
+
+// Take a claimed entry off the in-flight list and, only if it was still there, send the job on:
+// back to its user's queue, to the delayed set or to the dead list (or nowhere when it is done)
+const SETTLE_SCRIPT = `
+if redis.call('LREM', KEYS[1], 1, ARGV[1]) == 0 then return 0 end
+if redis.call('HINCRBY', KEYS[2], ARGV[2], -1) <= 0 then
+  redis.call('HDEL', KEYS[2], ARGV[2])
+end
+if ARGV[3] == 'queue' then
+  redis.call('LPUSH', KEYS[3], ARGV[4])
+  redis.call('SADD', KEYS[4], ARGV[2])
+elseif ARGV[3] == 'delayed' then
+  redis.call('ZADD', KEYS[3], ARGV[5], ARGV[4])
+elseif ARGV[3] == 'dead' then
+  redis.call('LPUSH', KEYS[3], ARGV[4])
+end
+return 1`;
+
+// Settle a claimed job: `to` is 'queue', 'delayed' (with `score`), 'dead' or nothing, `job` what is
+// stored there. Returns false when another worker already settled or recovered the entry.
+async function settleJob(redisClient, rawEntry, { to = '', job = null, score = 0 } = {}) {
+  const user = jobUser(parseQueueEntry(rawEntry));
+  const priority = jobPriority(job || {});
+  const target = { queue: userQueueKey(priority, user), delayed: DELAYED_KEY, dead: DEAD_KEY }[to] || DEAD_KEY;
+
+  const settled = await redisClient.eval(SETTLE_SCRIPT, {
+    keys: [PROCESSING_KEY, RUNNING_KEY, target, waitingUsersKey(priority)],
+    arguments: [rawEntry, user, to, job ? JSON.stringify(job) : '', String(score)]
+  });
+  return settled === 1;
+}
+
+const PROMOTE_SCRIPT = `
+if redis.call('ZREM', KEYS[1], ARGV[1]) == 0 then return 0 end
+redis.call('LPUSH', KEYS[2], ARGV[1])
+redis.call('SADD', KEYS[3], ARGV[2])
+return 1`;
+
+// Move a delayed entry whose time has come to its user's queue; false if someone else got to it
+async function promoteDelayedJob(redisClient, entry) {
+  const job = parseQueueEntry(entry);
+  const user = jobUser(job);
+  const priority = jobPriority(job);
+  const moved = await redisClient.eval(PROMOTE_SCRIPT, {
+    keys: [DELAYED_KEY, userQueueKey(priority, user), waitingUsersKey(priority)],
+    arguments: [entry, user]
+  });
+  return moved === 1;
+}
+
+const MIGRATE_SCRIPT = `
+local entry = redis.call('RPOP', KEYS[1])
+if not entry then return 0 end
+local ok, job = pcall(cjson.decode, entry)
+local user, priority = '', ARGV[3]
+if ok and type(job) == 'table' then
+  if type(job.userId) == 'number' or type(job.userId) == 'string' then
+    user = tostring(job.userId)
+  end
+  for i = 4, #ARGV do
+    if job.priority == tonumber(ARGV[i]) then priority = ARGV[i] end
+  end
+end
+redis.call('LPUSH', ARGV[1] .. priority .. ':user:' .. user, entry)
+redis.call('SADD', ARGV[2] .. priority, user)
+return 1`;
+
+// Jobs still waiting in an earlier layout (the single video_jobs list, then the per-user lists
+// without a priority) move to their priority and user's queue, oldest first; returns how many moved
+async function migrateLegacyQueue(redisClient) {
+  const legacyUsers = await redisClient.sMembers(LEGACY_WAITING_USERS_KEY);
+  let moved = 0;
+
+  for (const listKey of [LEGACY_QUEUE_KEY, ...legacyUsers.map(user => LEGACY_USER_QUEUE_PREFIX + user)]) {
+    while (await redisClient.eval(MIGRATE_SCRIPT, {
+      keys: [listKey],
+      arguments: [QUEUE_PREFIX, WAITING_USERS_PREFIX, String(JOB_PRIORITIES.normal), ...PRIORITY_LEVELS.map(String)]
+    }) === 1) {
+      moved++;
+    }
+  }
+  if (legacyUsers.length > 0) {
+    await redisClient.sRem(LEGACY_WAITING_USERS_KEY, legacyUsers);
+  }
+
+  return moved;
+}
+
+// Every waiting list: [priority, user, list key], highest priority first
+async function listWaitingQueues(redisClient) {
+  const queues = [];
+  for (const priority of PRIORITY_LEVELS) {
+    for (const user of await redisClient.sMembers(waitingUsersKey(priority))) {
+      queues.push([priority, user, userQueueKey(priority, user)]);
+    }
+  }
+  return queues;
+}
+
+async function countQueuedJobs(redisClient) {
+  const queues = await listWaitingQueues(redisClient);
+  const lengths = await Promise.all(queues.map(([, , listKey]) => redisClient.lLen(listKey)));
+  return lengths.reduce((sum, length) => sum + length, 0);
+}
+
+// The first `limit` waiting jobs by priority, then age, and how many are waiting. Claims go
+// fairly between users, so this is not strictly the order jobs will run in.
+async function listQueuedJobs(redisClient, limit) {
+  const jobs = [];
+  let count = 0;
+
+  for (const [, , listKey] of await listWaitingQueues(redisClient)) {
+    count += await redisClient.lLen(listKey);
+    const oldest = await redisClient.lRange(listKey, -limit, -1);
+    jobs.push(...oldest.reverse().map(parseQueueEntry));
+  }
+
+  jobs.sort((a, b) => jobPriority(b) - jobPriority(a) ||
+    String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+  return { count, jobs: jobs.slice(0, limit) };
+}
+
+// How many waiting jobs are likely claimed before one of a user's jobs: everything at a higher
+// priority, the user's own older jobs at its priority and, as users take turns, up to one more
+// than that from every other user at that priority. null when the job is not on a queue.
+async function countJobsAhead(redisClient, jobId, userId) {
+  const user = jobUser({ userId });
+
+  for (const priority of PRIORITY_LEVELS) {
+    const entries = await redisClient.lRange(userQueueKey(priority, user), 0, -1);
+    const index = entries.findIndex(e => parseQueueEntry(e).id === jobId);
+    if (index === -1) continue;
+
+    // Oldest on the right, so the user's own jobs ahead come after this one in the list
+    const ownAhead = entries.length - 1 - index;
+    let ahead = ownAhead;
+    for (const [level, other, listKey] of await listWaitingQueues(redisClient)) {
+      if (level > priority) {
+        ahead += await redisClient.lLen(listKey);
+      } else if (level === priority && other !== user) {
+        ahead += Math.min(await redisClient.lLen(listKey), ownAhead + 1);
+      }
+    }
+    return ahead;
+  }
+
+  return null;
+}
+
+// Drop a video's waiting jobs (queued or waiting for a retry, optionally dead-lettered ones too);
+// returns how many were removed
+async function removeVideoJobs(redisClient, userId, videoId, { includeDead = false } = {}) {
+  const isForVideo = (entry) => parseQueueEntry(entry).dbId === Number(videoId);
+  const queueKeys = PRIORITY_LEVELS.map(priority => userQueueKey(priority, userId));
+  let removed = 0;
+
+  for (const listKey of includeDead ? [...queueKeys, DEAD_KEY] : queueKeys) {
+    const entries = await redisClient.lRange(listKey, 0, -1);
+    for (const entry of entries.filter(isForVideo)) {
+      removed += await redisClient.lRem(listKey, 0, entry);
+    }
+  }
+
+  const delayed = await redisClient.zRange(DELAYED_KEY, 0, -1);
+  for (const entry of delayed.filter(isForVideo)) {
+    removed += await redisClient.zRem(DELAYED_KEY, entry);
+  }
+
+  return removed;
+}
+
+// Find a waiting job (queued, waiting for a retry or dead-lettered) of a user by id; returns where
+// it sits and its raw entry
+async function findWaitingJob(redisClient, jobId, userId) {
+  const lists = [
+    ...PRIORITY_LEVELS.map(priority => ['queued', userQueueKey(priority, userId)]),
+    ['dead', DEAD_KEY]
+  ];
+  for (const [state, listKey] of lists) {
+    const entries = await redisClient.lRange(listKey, 0, -1);
+    const entry = entries.find(e => parseQueueEntry(e).id === jobId);
+    if (entry) return { state, listKey, entry };
+  }
+
+  const delayed = await redisClient.zRange(DELAYED_KEY, 0, -1);
+  const entry = delayed.find(e => parseQueueEntry(e).id === jobId);
+  return entry ? { state: 'delayed', entry } : null;
+}
+
+// Take a job found by findWaitingJob off its list; false when a worker or another request got there first
+async function takeWaitingJob(redisClient, { state, listKey, entry }) {
+  const removed = state === 'delayed'
+    ? await redisClient.zRem(DELAYED_KEY, entry)
+    : await redisClient.lRem(listKey, 1, entry);
+  return removed > 0;
+}
+
+// Swap a waiting entry for a copy at another priority. Queued jobs move to the front of their
+// user's list at the new priority, delayed ones keep their time and dead ones their place.
+const REPRIORITIZE_SCRIPT = `
+if ARGV[1] == 'delayed' then
+  local score = redis.call('ZSCORE', KEYS[1], ARGV[2])
+  if not score then return 0 end
+  redis.call('ZREM', KEYS[1], ARGV[2])
+  redis.call('ZADD', KEYS[1], score, ARGV[3])
+  return 1
+elseif ARGV[1] == 'dead' then
+  local index = redis.call('LPOS', KEYS[1], ARGV[2])
+  if not index then return 0 end
+  redis.call('LSET', KEYS[1], index, ARGV[3])
+  return 1
+end
+if redis.call('LREM', KEYS[1], 1, ARGV[2]) == 0 then return 0 end
+redis.call('RPUSH', KEYS[2], ARGV[3])
+redis.call('SADD', KEYS[3], ARGV[4])
+return 1`;
+
+// Change the priority of a job found by findWaitingJob; returns the updated job, or null when a
+// worker or another request got there first
+async function setWaitingJobPriority(redisClient, { state, listKey, entry }, priority) {
+  const job = { ...parseQueueEntry(entry), priority };
+  const user = jobUser(job);
+
+  const replaced = await redisClient.eval(REPRIORITIZE_SCRIPT, {
+    keys: [state === 'delayed' ? DELAYED_KEY : listKey, userQueueKey(priority, user), waitingUsersKey(priority)],
+    arguments: [state, entry, JSON.stringify(job), user]
+  });
+  return replaced === 1 ? job : null;
+}
+
+// Take a user's job off the waiting lists by id; returns the job, or null when it is not waiting
+async function dequeueWaitingJob(redisClient, jobId, userId) {
+  const found = await findWaitingJob(redisClient, jobId, userId);
+  return found && await takeWaitingJob(redisClient, found) ? parseQueueEntry(found.entry) : null;
+}
+
+// Take every dead-lettered job off the dead list; returns the raw entries taken
+async function takeDeadJobs(redisClient) {
+  const taken = [];
+  for (const entry of await redisClient.lRange(DEAD_KEY, 0, -1)) {
+    if (await redisClient.lRem(DEAD_KEY, 1, entry) > 0) taken.push(entry);
+  }
+  return taken;
+}
+
+// Put a job taken off a waiting list back on the queue with fresh attempts; returns the queued job.
+// A scheduled job requeued by hand runs now.
+async function requeueJob(redisClient, entry) {
+  const { scheduledFor, ...job } = resetJobForQueue(parseQueueEntry(entry));
+  await enqueueJob(redisClient, job);
+  return job;
+}
+
+async function isJobProcessing(redisClient, jobId) {
+  const entries = await redisClient.lRange(PROCESSING_KEY, 0, -1);
+  return entries.some(e => parseQueueEntry(e).id === jobId);
+}
+
+// Live workers; ids whose details expired (the replica stopped heartbeating) are pruned
+async function listWorkers(redisClient) {
+  const ids = await redisClient.sMembers(WORKERS_KEY);
+  if (ids.length === 0) return [];
+
+  const entries = await redisClient.mGet(ids.map(workerKey));
+  const gone = ids.filter((id, index) => !entries[index]);
+  if (gone.length > 0) {
+    await redisClient.sRem(WORKERS_KEY, gone);
+  }
+
+  return entries.filter(Boolean).map(entry => JSON.parse(entry))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+function workerKey(workerId) {
+  return `worker_${workerId}`;
+}
+
+function jobControlKey(jobId) {
+  return `job_${jobId}_control`;
+}
+
+async function requestJobControl(redisClient, jobId, request) {
+  await redisClient.set(jobControlKey(jobId), JSON.stringify(request), { EX: CONTROL_TTL });
+  await redisClient.publish(CONTROL_CHANNEL, JSON.stringify({ jobId, ...request }));
+}
+
+module.exports = {
+  JOB_PRIORITIES,
+  PROCESSING_KEY,
+  DELAYED_KEY,
+  DEAD_KEY,
+  WORKERS_KEY,
+  CONTROL_CHANNEL,
+  parseQueueEntry,
+  resetJobForQueue,
+  buildJobFromVideo,
+  enqueueJob,
+  claimJob,
+  settleJob,
+  promoteDelayedJob,
+  migrateLegacyQueue,
+  countQueuedJobs,
+  listQueuedJobs,
+  countJobsAhead,
+  removeVideoJobs,
+  findWaitingJob,
+  takeWaitingJob,
+  setWaitingJobPriority,
+  dequeueWaitingJob,
+  takeDeadJobs,
+  requeueJob,
+  isJobProcessing,
+  listWorkers,
+  workerKey,
+  jobControlKey,
+  requestJobControl
+};
@@ -0,0 +1,320 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Pluggable file storage for upload-service and processing-worker.
+// STORAGE_DRIVER picks the backend:
+//   local - files below STORAGE_LOCAL_ROOT (default /app, i.e. the uploads/ and outputs/ volumes)
+//   s3    - an S3-compatible bucket (AWS S3, MinIO, ...): S3_ENDPOINT, S3_BUCKET, S3_REGION,
+//           S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY; S3_FORCE_PATH_STYLE=false for virtual-host URLs
+// Objects are addressed by keys such as "uploads/<file>" or "outputs/<jobId>_hls/720p/index.m3u8".
+
+// Rows written before storage keys stored absolute container paths (/app/uploads/...)
+function normalizeKey(pathOrKey) {
+  return pathOrKey ? pathOrKey.replace(/^\/app\//, '') : pathOrKey;
+}
+
+function createLocalStorage() {
+  const root = path.resolve(process.env.STORAGE_LOCAL_ROOT || '/app');
+
+  function resolveKey(key) {
+    const fullPath = path.resolve(root, normalizeKey(key));
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  }
+
+  function walk(fullPath) {
+    const stat = fs.statSync(fullPath);
+    if (!stat.isDirectory()) {
+      return [{ key: path.relative(root, fullPath).split(path.sep).join('/'), size: stat.size }];
+    }
+    return fs.readdirSync(fullPath).flatMap(entry => walk(path.join(fullPath, entry)));
+  }
+
+  // Entries of the prefix's directory whose names start with the rest of the prefix
+  function matchPrefix(prefix) {
+    const dir = prefix.endsWith('/') ? prefix : path.posix.dirname(prefix);
+    const namePrefix = prefix.endsWith('/') ? '' : path.posix.basename(prefix);
+    const fullDir = resolveKey(dir);
+
+    if (!fs.existsSync(fullDir)) return [];
+    return fs.readdirSync(fullDir)
+      .filter(entry => entry.startsWith(namePrefix))
+      .map(entry => path.join(fullDir, entry));
+  }
+
+  return {
+    driver: 'local',
+
+    async init() {
+      for (const dir of ['uploads', 'outputs']) {
+        await fs.promises.mkdir(resolveKey(dir), { recursive: true });
+      }
+    },
+
+    // Local files can be handed to ffmpeg directly
+    localPath: resolveKey,
+
+    // The local file is moved into storage (it no longer exists afterwards)
+    async putFile(key, sourcePath) {
+      const target = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fs.promises.rename(sourcePath, target);
+      } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        // Different filesystem (e.g. /tmp into a volume)
+        await fs.promises.copyFile(sourcePath, target);
+        await fs.promises.rm(sourcePath, { force: true });
+      }
+    },
+
+    async stat(key) {
+      try {
+        const stat = await fs.promises.stat(resolveKey(key));
+        return stat.isFile() ? { size: stat.size } : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async createReadStream(key, range = {}) {
+      return fs.createReadStream(resolveKey(key), range);
+    },
+
+    async downloadFile(key, targetPath) {
+      await fs.promises.copyFile(resolveKey(key), targetPath);
+    },
+
+    async list(prefix) {
+      return matchPrefix(prefix).flatMap(walk);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    async removePrefix(prefix) {
+      // A directory prefix takes the directory itself with it
+      if (prefix.endsWith('/')) {
+        await fs.promises.rm(resolveKey(prefix), { recursive: true, force: true });
+        return;
+      }
+      for (const fullPath of matchPrefix(prefix)) {
+        await fs.promises.rm(fullPath, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+function createS3Storage() {
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = new URL(process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+  const bucket = process.env.S3_BUCKET;
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+  // MinIO and most stand-ins only understand path-style URLs
+  const pathStyle = process.env.S3_FORCE_PATH_STYLE !== 'false';
+  const transport = endpoint.protocol === 'http:' ? http : https;
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const hostname = pathStyle ? endpoint.hostname : `${bucket}.${endpoint.hostname}`;
+  const host = endpoint.port ? `${hostname}:${endpoint.port}` : hostname;
+  const basePath = `${endpoint.pathname.replace(/\/$/, '')}${pathStyle ? `/${bucket}` : ''}`;
+
+  const encode = (value) => encodeURIComponent(value)
+    .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+  const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+  // AWS Signature Version 4; payloads are streamed, so they are sent unsigned
+  function signRequest(method, key, query, headers) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const canonicalUri = `${basePath}/${key.split('/').map(encode).join('/')}`;
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encode(name)}=${encode(query[name])}`)
+      .join('&');
+
+    const signed = {
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+      host,
+      'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+      'x-amz-date': amzDate
+    };
+    const headerNames = Object.keys(signed).sort();
+    const canonicalRequest = [
+      method,
+      canonicalUri,
+      canonicalQuery,
+      headerNames.map(name => `${name}:${signed[name]}\n`).join(''),
+      headerNames.join(';'),
+      'UNSIGNED-PAYLOAD'
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region));
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    signed.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+      `SignedHeaders=${headerNames.join(';')}, Signature=${signature}`;
+
+    return { path: canonicalUri + (canonicalQuery ? `?${canonicalQuery}` : ''), headers: signed };
+  }
+
+  function send(method, key, { query = {}, headers = {}, body = null } = {}) {
+    const request = signRequest(method, key, query, headers);
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        protocol: endpoint.protocol,
+        hostname,
+        port: endpoint.port || undefined,
+        method,
+        path: request.path,
+        headers: request.headers
+      }, resolve);
+
+      req.on('error', reject);
+      if (body && typeof body.pipe === 'function') {
+        body.on('error', (error) => req.destroy(error));
+        body.pipe(req);
+      } else {
+        req.end(body);
+      }
+    });
+  }
+
+  async function readBody(res) {
+    const chunks = [];
+    for await (const chunk of res) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  // Non-2xx answers become errors; 404 carries code ENOENT like the local driver
+  async function expectOk(res, method, key) {
+    if (res.statusCode >= 200 && res.statusCode < 300) return res;
+
+    const text = await readBody(res);
+    const code = (text.match(/<Code>(.*?)<\/Code>/) || [])[1];
+    const error = new Error(`S3 ${method} ${key || bucket} failed: ${res.statusCode}${code ? ` ${code}` : ''}`);
+    error.code = res.statusCode === 404 ? 'ENOENT' : code;
+    error.statusCode = res.statusCode;
+    throw error;
+  }
+
+  const decodeXml = (text) => text
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+  return {
+    driver: 's3',
+
+    // Create the bucket on first start (handy with a fresh MinIO)
+    async init() {
+      const res = await send('HEAD', '');
+      res.resume();
+      if (res.statusCode === 404) {
+        const created = await send('PUT', '');
+        await expectOk(created, 'PUT', '');
+        created.resume();
+        console.log(`🪣 Created bucket ${bucket}`);
+      }
+    },
+
+    localPath() {
+      return null;
+    },
+
+    async putFile(key, sourcePath) {
+      const { size } = await fs.promises.stat(sourcePath);
+      const res = await send('PUT', key, {
+        headers: { 'content-length': size },
+        body: fs.createReadStream(sourcePath)
+      });
+      await expectOk(res, 'PUT', key);
+      res.resume();
+      await fs.promises.rm(sourcePath, { force: true });
+    },
+
+    async stat(key) {
+      const res = await send('HEAD', key);
+      res.resume();
+      if (res.statusCode === 404) return null;
+      await expectOk(res, 'HEAD', key);
+      return { size: parseInt(res.headers['content-length'], 10) };
+    },
+
+    async createReadStream(key, range = {}) {
+      const headers = range.start !== undefined ? { range: `bytes=${range.start}-${range.end !== undefined ? range.end : ''}` } : {};
+      return expectOk(await send('GET', key, { headers }), 'GET', key);
+    },
+
+    async downloadFile(key, targetPath) {
+      const res = await expectOk(await send('GET', key), 'GET', key);
+      await pipeline(res, fs.createWriteStream(targetPath));
+    },
+
+    async list(prefix) {
+      const objects = [];
+      let continuationToken = null;
+
+      do {
+        const query = { 'list-type': '2', prefix };
+        if (continuationToken) query['continuation-token'] = continuationToken;
+
+        const text = await readBody(await expectOk(await send('GET', '', { query }), 'LIST', prefix));
+        for (const [, entry] of text.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          objects.push({
+            key: decodeXml(entry.match(/<Key>([\s\S]*?)<\/Key>/)[1]),
+            size: parseInt(entry.match(/<Size>(\d+)<\/Size>/)[1], 10)
+          });
+        }
+        continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(text)
+          ? decodeXml(text.match(/<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/)[1])
+          : null;
+      } while (continuationToken);
+
+      return objects;
+    },
+
+    async remove(key) {
+      const res = await send('DELETE', normalizeKey(key));
+      res.resume();
+      if (res.statusCode !== 404) await expectOk(res, 'DELETE', key);
+    },
+
+    async removePrefix(prefix) {
+      for (const { key } of await this.list(prefix)) {
+        await this.remove(key);
+      }
+    }
+  };
+}
+
+const DRIVERS = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+function createStorage(driver = process.env.STORAGE_DRIVER || 'local') {
+  const createDriver = DRIVERS[driver];
+  if (!createDriver) {
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+
+  const storage = createDriver();
+  console.log(`🗄️ Storage using ${driver} driver`);
+  return storage;
+}
+
+module.exports = { createStorage, normalizeKey };
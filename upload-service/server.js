@@ -4,13 +4,50 @@ const cors = require('cors');
 const redis = require('redis');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
+const {
+  JOB_PRIORITIES, PROCESSING_KEY, DELAYED_KEY, parseQueueEntry, buildJobFromVideo, enqueueJob, countJobsAhead,
+  dequeueWaitingJob, isJobProcessing, listWorkers, jobControlKey, requestJobControl
+} = require('../shared/queue');
+const { createStorage, normalizeKey } = require('../shared/storage');
+const { DEFAULT_PRESET, AUDIO_FORMATS, hasPreset, listPresets } = require('../shared/presets');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 
+// Originals and outputs live in the configured storage backend (local volume or S3)
+const storage = createStorage();
+
+// Resumable uploads: chunks are appended to a .part file next to a JSON state file.
+// This staging area is always local disk; finished files are moved into storage.
+const PARTIAL_DIR = process.env.UPLOAD_STAGING_DIR || '/app/uploads/.partial';
+const RESUMABLE_MAX_FILE_SIZE = parseInt(process.env.RESUMABLE_MAX_FILE_SIZE || String(2 * 1024 * 1024 * 1024), 10); // 2GB
+const RESUMABLE_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB suggested to clients
+const RESUMABLE_MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const RESUMABLE_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+// Per-user upload limits: new uploads per hour and videos queued/processing at the same time
+const UPLOAD_RATE_LIMIT = parseInt(process.env.UPLOAD_RATE_LIMIT || '30', 10);
+const UPLOAD_RATE_WINDOW = 60 * 60; // seconds
+const MAX_ACTIVE_JOBS_PER_USER = parseInt(process.env.MAX_ACTIVE_JOBS_PER_USER || '3', 10);
+const ACTIVE_JOBS_RETRY_AFTER = 30; // seconds; a guess, jobs finish whenever they finish
+
+// Storage quota per user in MB (0 = unlimited), overridden by users.storage_quota_mb; see auth-service /usage
+const STORAGE_QUOTA_MB = parseInt(process.env.STORAGE_QUOTA_MB || '5120', 10);
+
+// Queue priorities (JOB_PRIORITIES in shared/queue.js, higher is claimed first). Files up to
+// PRIORITY_SMALL_FILE_MB (0 = off) go in as high; users.job_priority gives a user (e.g. a premium
+// account) a standing level; urgent is left for admins bumping a job.
+const PRIORITY_SMALL_FILE_MB = parseInt(process.env.PRIORITY_SMALL_FILE_MB || '50', 10);
+
+// Scheduled processing: the job waits in video_jobs_delayed until its time. "offpeak" is the next
+// OFFPEAK_START_HOUR:00 in server time, for batches that should run overnight.
+const OFFPEAK_START_HOUR = parseInt(process.env.OFFPEAK_START_HOUR || '1', 10);
+const MAX_SCHEDULE_DAYS = 7;
+
 // Redis client
 const redisClient = redis.createClient({
   url: process.env.REDIS_URL || 'redis://localhost:6379'
@@ -19,6 +56,23 @@ const redisClient = redis.createClient({
 redisClient.on('error', (err) => console.log('Redis Client Error', err));
 redisClient.connect();
 
+const JOB_STATUS_TTL = 7 * 24 * 60 * 60; // seconds
+
+// Separate connection for pub/sub (a subscribed client cannot run other commands)
+const PROGRESS_CHANNEL = 'job_progress';
+const progressSubscriber = redisClient.duplicate();
+
+progressSubscriber.on('error', (err) => console.log('Redis Subscriber Error', err));
+progressSubscriber.connect().then(() => {
+  return progressSubscriber.subscribe(PROGRESS_CHANNEL, (message) => {
+    try {
+      broadcastProgress(JSON.parse(message));
+    } catch (error) {
+      console.error('Invalid progress message:', error.message);
+    }
+  });
+}).catch(err => console.error('Progress subscription failed:', err));
+
 // Database connection
 const pool = new Pool({
   host: process.env.DB_HOST || 'postgres',
@@ -29,14 +83,16 @@ const pool = new Pool({
 });
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Retry-After'] }));
 app.use(express.json({ limit: '10mb' }));
-app.use(fileUpload({
+
+// Multipart bodies are only parsed on the routes that take files, after auth and quota checks
+const parseFileUpload = fileUpload({
   limits: { fileSize: 100 * 1024 * 1024 }, // 100MB max
   useTempFiles: true,
   tempFileDir: '/tmp/',
   createParentPath: true
-}));
+});
 
 // Debug middleware to log all requests
 app.use((req, res, next) => {
@@ -50,24 +106,63 @@ app.get('/test', (req, res) => {
   res.json({ message: 'Test successful', timestamp: new Date().toISOString() });
 });
 
+// Session denylist written by auth-service on logout (see isTokenRevoked there)
+async function isTokenRevoked(user) {
+  if (user.sid) {
+    return (await redisClient.exists(`session_revoked_${user.sid}`)) === 1;
+  }
+  const cutoff = await redisClient.get(`user_tokens_revoked_before_${user.userId}`);
+  return cutoff !== null && user.iat <= parseInt(cutoff, 10);
+}
+
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  const token = (authHeader && authHeader.split(' ')[1]) || req.tokenFromQuery;
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
+      }
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
+
+    try {
+      if (await isTokenRevoked(user)) {
+        return res.status(401).json({ error: 'Token has been revoked', code: 'TOKEN_REVOKED' });
+      }
+    } catch (error) {
+      console.error('Token denylist check failed:', error);
+      return res.status(503).json({ error: 'Authentication temporarily unavailable' });
+    }
+
     req.user = user;
     next();
   });
 };
 
+// Viewers can watch but not upload; tokens from before roles existed count as uploader
+const UPLOAD_ROLES = ['admin', 'uploader'];
+
+const requireUploader = (req, res, next) => {
+  if (!UPLOAD_ROLES.includes(req.user.role || 'uploader')) {
+    discardUploadedFiles(req);
+    return res.status(403).json({ error: 'Your account is not allowed to upload', code: 'FORBIDDEN' });
+  }
+  next();
+};
+
+// EventSource cannot send headers, so stream routes accept ?access_token=
+const allowQueryToken = (req, res, next) => {
+  req.tokenFromQuery = req.query.access_token;
+  next();
+};
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
@@ -78,8 +173,239 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Processing presets offered on the upload form
+app.get('/presets', (req, res) => {
+  res.json({ presets: listPresets(), defaultPreset: DEFAULT_PRESET });
+});
+
+// Preset picked for an upload or reprocess; missing means the default
+function parsePreset(value) {
+  if (value === undefined || value === null || value === '') {
+    return { preset: DEFAULT_PRESET };
+  }
+  if (typeof value !== 'string' || !hasPreset(value)) {
+    return { error: `Unknown preset: ${value}` };
+  }
+  return { preset: value };
+}
+
+// Audio output choices that may be made at upload or on a reprocess: audioFormat (AUDIO_FORMATS)
+// and normalizeAudio (true/false, "true"/"false" from multipart forms; unset keeps the preset's)
+function parseAudioSettings(body) {
+  const settings = {};
+  const { audioFormat, normalizeAudio } = body || {};
+
+  if (audioFormat !== undefined && audioFormat !== null && audioFormat !== '') {
+    if (!Object.prototype.hasOwnProperty.call(AUDIO_FORMATS, audioFormat)) {
+      return { error: `audioFormat must be one of ${Object.keys(AUDIO_FORMATS).join(', ')}` };
+    }
+    settings.audioFormat = audioFormat;
+  }
+  if (normalizeAudio !== undefined && normalizeAudio !== null && normalizeAudio !== '') {
+    if (![true, false, 'true', 'false'].includes(normalizeAudio)) {
+      return { error: 'normalizeAudio must be true or false' };
+    }
+    settings.normalizeAudio = normalizeAudio === true || normalizeAudio === 'true';
+  }
+
+  return { settings };
+}
+
+// Processing time requested for an upload: an ISO date, "offpeak" or nothing (right away)
+function parseSchedule(value) {
+  if (value === undefined || value === null || value === '') {
+    return { scheduledFor: null };
+  }
+
+  let scheduledFor;
+  if (value === 'offpeak') {
+    scheduledFor = new Date();
+    scheduledFor.setHours(OFFPEAK_START_HOUR, 0, 0, 0);
+    if (scheduledFor <= new Date()) scheduledFor.setDate(scheduledFor.getDate() + 1);
+  } else {
+    scheduledFor = new Date(value);
+    if (typeof value !== 'string' || isNaN(scheduledFor.getTime())) {
+      return { error: 'scheduledAt must be an ISO date or "offpeak"' };
+    }
+  }
+
+  if (scheduledFor.getTime() > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `scheduledAt must be within ${MAX_SCHEDULE_DAYS} days` };
+  }
+  // A time that has already passed just means now
+  return { scheduledFor: scheduledFor > new Date() ? scheduledFor : null };
+}
+
+function getJobPriority(fileSize, userPriority) {
+  const base = JOB_PRIORITIES[userPriority] !== undefined ? JOB_PRIORITIES[userPriority] : JOB_PRIORITIES.normal;
+  const isSmall = PRIORITY_SMALL_FILE_MB > 0 && fileSize <= PRIORITY_SMALL_FILE_MB * 1024 * 1024;
+  return isSmall ? Math.max(base, JOB_PRIORITIES.high) : base;
+}
+
+function getPriorityName(priority) {
+  return Object.keys(JOB_PRIORITIES).find(name => JOB_PRIORITIES[name] === priority) || 'normal';
+}
+
+// Columns buildJobFromVideo needs
+const JOB_VIDEO_COLUMNS = `id, user_id, job_id, original_name, file_name, file_path, file_size, mime_type,
+                          status, processing_settings, priority, scheduled_for, subtitles`;
+
+// Store the upload in the database and push a processing job onto the queue
+async function queueUploadedFile({ userId, fileId, originalName, fileName, filePath, fileSize, mimeType, preset, settings = {}, scheduledFor, title = null }) {
+  const user = await pool.query('SELECT job_priority FROM users WHERE id = $1', [userId]);
+  const priority = getJobPriority(fileSize, user.rows.length > 0 ? user.rows[0].job_priority : null);
+
+  const result = await pool.query(
+    `INSERT INTO videos (user_id, original_name, file_name, file_path, file_size, mime_type, status, job_id,
+                         processing_settings, priority, scheduled_for, title, created_at) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING ${JOB_VIDEO_COLUMNS}`,
+    [userId, originalName, fileName, filePath, fileSize, mimeType, 'queued', fileId, { preset, ...settings }, priority, scheduledFor, title, new Date()]
+  );
+
+  // Create job for processing
+  const job = buildJobFromVideo(result.rows[0]);
+
+  // Add to Redis queue
+  await enqueueJob(redisClient, job);
+
+  return job;
+}
+
+// Same 429 shape as auth-service: Retry-After header plus retryAfter (seconds) in the body
+function sendTooManyRequests(req, res, retryAfter, error, code, extra = {}) {
+  discardUploadedFiles(req);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, code, retryAfter, ...extra });
+}
+
+// Remove temp files express-fileupload wrote for a request that is refused after parsing
+function discardUploadedFiles(req) {
+  for (const file of Object.values(req.files || {}).flat()) {
+    if (file.tempFilePath) {
+      fs.rm(file.tempFilePath, { force: true }, () => {});
+    }
+  }
+}
+
+// New uploads per user per UPLOAD_RATE_WINDOW (fixed window counter in Redis)
+const limitUploadRate = async (req, res, next) => {
+  const key = `rate_upload_user_${req.user.userId}`;
+
+  try {
+    const [count, , ttl] = await redisClient.multi()
+      .incr(key)
+      .expire(key, UPLOAD_RATE_WINDOW, 'NX')
+      .ttl(key)
+      .exec();
+
+    if (count > UPLOAD_RATE_LIMIT) {
+      return sendTooManyRequests(req, res, ttl > 0 ? ttl : UPLOAD_RATE_WINDOW,
+        'Too many uploads, please try again later', 'RATE_LIMITED');
+    }
+  } catch (error) {
+    // Fail open: a Redis hiccup should not block uploads
+    console.error('Upload rate limit check failed:', error);
+  }
+  next();
+};
+
+// Refuse new jobs while the user already has MAX_ACTIVE_JOBS_PER_USER waiting or processing
+const limitActiveJobs = async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS active FROM videos
+       WHERE user_id = $1 AND status IN ('queued', 'processing') AND deleted_at IS NULL
+         AND (scheduled_for IS NULL OR scheduled_for <= NOW())`,
+      [req.user.userId]
+    );
+
+    const { active } = result.rows[0];
+    if (active >= MAX_ACTIVE_JOBS_PER_USER) {
+      return sendTooManyRequests(req, res, ACTIVE_JOBS_RETRY_AFTER,
+        'Too many videos are still processing, please wait for them to finish', 'TOO_MANY_ACTIVE_JOBS',
+        { activeJobs: active, limit: MAX_ACTIVE_JOBS_PER_USER });
+    }
+    next();
+  } catch (error) {
+    console.error('Active job check failed:', error);
+    discardUploadedFiles(req);
+    res.status(500).json({ error: 'Upload failed' });
+  }
+};
+
+// Bytes reserved by the user's unfinished resumable uploads
+function getPendingUploadBytes(userId) {
+  if (!fs.existsSync(PARTIAL_DIR)) return 0;
+
+  let reserved = 0;
+  for (const entry of fs.readdirSync(PARTIAL_DIR)) {
+    if (!entry.endsWith('.json')) continue;
+    try {
+      const session = JSON.parse(fs.readFileSync(path.join(PARTIAL_DIR, entry), 'utf8'));
+      if (session.userId === userId) reserved += session.fileSize;
+    } catch (error) {
+      // Written concurrently or already removed; skip it
+    }
+  }
+  return reserved;
+}
+
+// Body of the 413 answer when `requested` more bytes would take the user past their storage quota,
+// null when they fit. Usage counts originals and derived outputs of every video not yet purged
+// (trash included) plus resumable uploads still in progress.
+async function findQuotaExcess(userId, requested) {
+  const result = await pool.query(
+    `SELECT COALESCE(u.storage_quota_mb, $2)::int AS quota_mb,
+            (SELECT COALESCE(SUM(COALESCE(file_size, 0) + COALESCE(output_size, 0)), 0)
+             FROM videos WHERE user_id = u.id AND (purge_at IS NULL OR purge_at > NOW()))::bigint AS used
+     FROM users u WHERE u.id = $1`,
+    [userId, STORAGE_QUOTA_MB]
+  );
+  const row = result.rows[0];
+  if (!row || row.quota_mb <= 0) return null;
+
+  const quota = row.quota_mb * 1024 * 1024;
+  const used = Number(row.used) + getPendingUploadBytes(userId);
+  if (used + requested <= quota) return null;
+
+  return {
+    error: 'Storage quota exceeded, delete some videos or empty the trash to free space',
+    code: 'QUOTA_EXCEEDED',
+    used,
+    quota,
+    requested
+  };
+}
+
+// Refuse an upload that would take the user past their storage quota, before any bytes are stored
+const checkStorageQuota = (sizeFor) => async (req, res, next) => {
+  try {
+    const excess = await findQuotaExcess(req.user.userId, sizeFor(req) || 0);
+    if (excess) {
+      discardUploadedFiles(req);
+      return res.status(413).json(excess);
+    }
+    next();
+  } catch (error) {
+    console.error('Storage quota check failed:', error);
+    discardUploadedFiles(req);
+    res.status(500).json({ error: 'Upload failed' });
+  }
+};
+
+function generateFileId() {
+  return Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+function isSupportedMimeType(mimeType) {
+  const supportedTypes = ['video/', 'audio/'];
+  return typeof mimeType === 'string' && supportedTypes.some(type => mimeType.startsWith(type));
+}
+
 // Upload endpoint (with authentication)
-app.post('/upload', authenticateToken, async (req, res) => {
+// Content-Length is checked before the multipart body is parsed (it is slightly larger than the file)
+app.post('/upload', authenticateToken, requireUploader, limitUploadRate, limitActiveJobs,
+  checkStorageQuota(req => parseInt(req.headers['content-length'], 10)), parseFileUpload, async (req, res) => {
   try {
     if (!req.files || !req.files.video) {
       return res.status(400).json({ error: 'No media file uploaded' });
@@ -88,49 +414,39 @@ app.post('/upload', authenticateToken, async (req, res) => {
     const videoFile = req.files.video;
     
     // Check if it's a supported media file
-    const supportedTypes = ['video/', 'audio/'];
-    const isSupported = supportedTypes.some(type => videoFile.mimetype.startsWith(type));
-    
-    if (!isSupported) {
+    if (!isSupportedMimeType(videoFile.mimetype)) {
       return res.status(400).json({ error: 'Unsupported file type. Please upload video or audio files only.' });
     }
 
-    const fileId = Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    const { preset, error } = parsePreset((req.body || {}).preset);
+    const { scheduledFor, error: scheduleError } = parseSchedule((req.body || {}).scheduledAt);
+    const { settings, error: settingsError } = parseAudioSettings(req.body);
+    if (error || scheduleError || settingsError) {
+      discardUploadedFiles(req);
+      return res.status(400).json({ error: error || scheduleError || settingsError });
+    }
+
+    const fileId = generateFileId();
     // Encode filename properly for filesystem compatibility  
     const sanitizedName = Buffer.from(videoFile.name, 'utf8').toString('utf8');
     const fileName = `${fileId}_${sanitizedName}`;
-    const uploadPath = path.join('/app/uploads', fileName);
-
-    // Move file to uploads directory
-    await videoFile.mv(uploadPath);
-
-    // Save to database
-    const result = await pool.query(
-      `INSERT INTO videos (user_id, original_name, file_name, file_path, file_size, mime_type, status, created_at) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
-      [req.user.userId, videoFile.name, fileName, uploadPath, videoFile.size, videoFile.mimetype, 'queued', new Date()]
-    );
+    const uploadKey = `uploads/${fileName}`;
 
-    const videoDbId = result.rows[0].id;
+    // Move the temp file into storage
+    await storage.putFile(uploadKey, videoFile.tempFilePath);
 
-    // Create job for processing
-    const job = {
-      id: fileId,
-      dbId: videoDbId,
+    const job = await queueUploadedFile({
       userId: req.user.userId,
+      fileId,
       originalName: videoFile.name,
-      fileName: fileName,
-      filePath: uploadPath,
+      fileName,
+      filePath: uploadKey,
       fileSize: videoFile.size,
       mimeType: videoFile.mimetype,
-      status: 'queued',
-      createdAt: new Date().toISOString(),
-      isAudio: videoFile.mimetype.startsWith('audio/'),
-      tasks: videoFile.mimetype.startsWith('audio/') ? ['metadata', 'convert'] : ['thumbnail', 'metadata', 'compress']
-    };
-
-    // Add to Redis queue
-    await redisClient.lPush('video_jobs', JSON.stringify(job));
+      preset,
+      settings,
+      scheduledFor
+    });
     
     console.log(`📤 File uploaded: ${fileName} (${(videoFile.size / 1024 / 1024).toFixed(2)}MB)`);
 
@@ -138,7 +454,11 @@ app.post('/upload', authenticateToken, async (req, res) => {
       success: true,
       jobId: fileId,
       fileName: fileName,
-      message: 'Media file uploaded successfully and queued for processing'
+      priority: getPriorityName(job.priority),
+      scheduledFor: job.scheduledFor || null,
+      message: job.scheduledFor
+        ? 'Media file uploaded successfully and scheduled for processing'
+        : 'Media file uploaded successfully and queued for processing'
     });
 
   } catch (error) {
@@ -147,197 +467,1407 @@ app.post('/upload', authenticateToken, async (req, res) => {
   }
 });
 
-// Video streaming endpoint
-app.get('/video/:filename', (req, res) => {
+// Resumable upload helpers
+function getSessionPaths(uploadId) {
+  return {
+    statePath: path.join(PARTIAL_DIR, `${uploadId}.json`),
+    partPath: path.join(PARTIAL_DIR, `${uploadId}.part`)
+  };
+}
+
+function loadUploadSession(uploadId) {
+  if (!/^[a-f0-9]{32}$/.test(uploadId)) {
+    return null;
+  }
+
+  const { statePath, partPath } = getSessionPaths(uploadId);
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+
+  const session = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  // The bytes on disk are the source of truth for the offset
+  session.offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+  return session;
+}
+
+function saveUploadSession(session) {
+  const { statePath } = getSessionPaths(session.uploadId);
+  const { offset, ...state } = session;
+  fs.writeFileSync(statePath, JSON.stringify(state));
+}
+
+function removeUploadSession(uploadId) {
+  const { statePath, partPath } = getSessionPaths(uploadId);
+  fs.rmSync(statePath, { force: true });
+  fs.rmSync(partPath, { force: true });
+}
+
+function serializeUploadSession(session) {
+  return {
+    uploadId: session.uploadId,
+    fileName: session.originalName,
+    fileSize: session.fileSize,
+    mimeType: session.mimeType,
+    preset: session.preset || DEFAULT_PRESET,
+    settings: session.settings || {},
+    scheduledFor: session.scheduledFor || null,
+    offset: session.offset,
+    chunkSize: RESUMABLE_CHUNK_SIZE,
+    createdAt: session.createdAt,
+    expiresAt: new Date(new Date(session.createdAt).getTime() + RESUMABLE_EXPIRY_MS).toISOString()
+  };
+}
+
+// Uploads currently receiving a chunk (one writer per session)
+const activeChunkWrites = new Set();
+
+// Look up the caller's resumable session or answer 404
+function findUserUploadSession(req, res) {
+  const session = loadUploadSession(req.params.uploadId);
+  if (!session || session.userId !== req.user.userId) {
+    res.status(404).json({ error: 'Upload session not found' });
+    return null;
+  }
+  return session;
+}
+
+// Start a resumable upload
+app.post('/uploads', authenticateToken, requireUploader, limitUploadRate, limitActiveJobs,
+  checkStorageQuota(req => parseInt((req.body || {}).fileSize, 10)), async (req, res) => {
   try {
-    const filename = req.params.filename;
-    const filePath = path.join('/app/outputs', filename);
-    
-    console.log(`🎥 Video request: ${filename}`);
-    console.log(`📁 Looking for file at: ${filePath}`);
-    console.log(`📂 File exists: ${fs.existsSync(filePath)}`);
-    
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ error: 'File not found' });
+    const { fileName, fileSize, mimeType } = req.body || {};
+    const size = parseInt(fileSize, 10);
+    const { preset, error } = parsePreset((req.body || {}).preset);
+    const { scheduledFor, error: scheduleError } = parseSchedule((req.body || {}).scheduledAt);
+    const { settings, error: settingsError } = parseAudioSettings(req.body);
+
+    if (!fileName || typeof fileName !== 'string') {
+      return res.status(400).json({ error: 'fileName is required' });
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({ error: 'fileSize must be a positive integer' });
+    }
+    if (size > RESUMABLE_MAX_FILE_SIZE) {
+      return res.status(413).json({ error: `File too large (max ${Math.round(RESUMABLE_MAX_FILE_SIZE / 1024 / 1024)}MB)` });
+    }
+    if (!isSupportedMimeType(mimeType)) {
+      return res.status(400).json({ error: 'Unsupported file type. Please upload video or audio files only.' });
+    }
+    if (error || scheduleError || settingsError) {
+      return res.status(400).json({ error: error || scheduleError || settingsError });
     }
 
-    const stat = fs.statSync(filePath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
+    fs.mkdirSync(PARTIAL_DIR, { recursive: true });
 
-    // Set basic headers for streaming
-    res.set('Content-Type', getContentType(filename));
-    res.set('Accept-Ranges', 'bytes');
-    res.set('Access-Control-Allow-Origin', '*');
-    
-    if (range) {
-      const parts = range.replace(/bytes=/, "").split("-");
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      const chunksize = (end - start) + 1;
-
-      res.status(206);
-      res.set('Content-Range', `bytes ${start}-${end}/${fileSize}`);
-      res.set('Content-Length', chunksize);
-
-      const stream = fs.createReadStream(filePath, { start, end });
-      stream.pipe(res);
-    } else {
-      res.status(200);
-      res.set('Content-Length', fileSize);
-      
-      const stream = fs.createReadStream(filePath);
-      stream.pipe(res);
-    }
+    const session = {
+      uploadId: crypto.randomBytes(16).toString('hex'),
+      userId: req.user.userId,
+      originalName: path.basename(fileName),
+      fileSize: size,
+      mimeType,
+      preset,
+      settings,
+      scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
+      createdAt: new Date().toISOString(),
+      offset: 0
+    };
+
+    saveUploadSession(session);
+    fs.writeFileSync(getSessionPaths(session.uploadId).partPath, '');
+
+    console.log(`📦 Resumable upload started: ${session.originalName} (${(size / 1024 / 1024).toFixed(2)}MB)`);
+
+    res.status(201).json({ success: true, ...serializeUploadSession(session) });
   } catch (error) {
-    console.error('Stream error:', error);
-    res.status(500).json({ error: 'Stream failed' });
+    console.error('Resumable init error:', error);
+    res.status(500).json({ error: 'Failed to start upload' });
   }
 });
 
-// Get job status
-app.get('/job/:id', async (req, res) => {
+// Current offset of a resumable upload
+app.get('/uploads/:uploadId', authenticateToken, (req, res) => {
   try {
-    const jobData = await redisClient.get(`job_${req.params.id}`);
-    
-    if (!jobData) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
+    const session = findUserUploadSession(req, res);
+    if (!session) return;
 
-    res.json(JSON.parse(jobData));
+    res.json({ success: true, ...serializeUploadSession(session) });
   } catch (error) {
-    console.error('Job status error:', error);
-    res.status(500).json({ error: 'Failed to get job status' });
+    console.error('Resumable status error:', error);
+    res.status(500).json({ error: 'Failed to get upload status' });
   }
 });
 
-// List all jobs
-app.get('/jobs', async (req, res) => {
+// Append a chunk at Upload-Offset (raw body, optional "Upload-Checksum: sha256 <base64>")
+app.patch('/uploads/:uploadId', authenticateToken, async (req, res) => {
+  const { uploadId } = req.params;
+
   try {
-    const keys = await redisClient.keys('job_*');
-    const jobs = [];
-    
-    for (const key of keys) {
-      const jobData = await redisClient.get(key);
-      if (jobData) {
-        jobs.push(JSON.parse(jobData));
+    const session = findUserUploadSession(req, res);
+    if (!session) return;
+
+    if (activeChunkWrites.has(uploadId)) {
+      return res.status(409).json({ error: 'Another chunk is being written', offset: session.offset });
+    }
+
+    const clientOffset = parseInt(req.headers['upload-offset'], 10);
+    if (clientOffset !== session.offset) {
+      return res.status(409).json({ error: 'Offset mismatch', offset: session.offset });
+    }
+
+    let expectedChecksum = null;
+    const checksumHeader = req.headers['upload-checksum'];
+    if (checksumHeader) {
+      const [algorithm, digest] = checksumHeader.split(' ');
+      if (algorithm !== 'sha256' || !digest) {
+        return res.status(400).json({ error: 'Unsupported checksum algorithm' });
       }
+      expectedChecksum = digest;
     }
-    
-    // Sort by creation time (newest first)
-    jobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
-    res.json(jobs);
+
+    activeChunkWrites.add(uploadId);
+
+    const { partPath } = getSessionPaths(uploadId);
+    const maxChunk = Math.min(RESUMABLE_MAX_CHUNK_SIZE, session.fileSize - session.offset);
+    const hash = crypto.createHash('sha256');
+    let received = 0;
+
+    const written = await new Promise((resolve) => {
+      const out = fs.createWriteStream(partPath, { flags: 'a' });
+      let failed = null;
+
+      req.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxChunk && !failed) {
+          failed = 'Chunk exceeds remaining file size';
+          req.unpipe(out);
+          out.end();
+          return;
+        }
+        hash.update(chunk);
+      });
+      req.on('close', () => {
+        // A dropped connection never ends the pipe on its own
+        if (!req.complete) {
+          failed = failed || 'Connection aborted';
+          out.end();
+        }
+      });
+      out.on('error', (err) => { failed = failed || err.message; });
+      out.on('close', () => resolve(failed));
+      req.pipe(out);
+    });
+
+    // Roll back partial or corrupted chunks so the offset stays on a verified boundary
+    const digest = hash.digest('base64');
+    if (written || (expectedChecksum && digest !== expectedChecksum)) {
+      fs.truncateSync(partPath, session.offset);
+      const reason = written || 'Checksum mismatch';
+      console.log(`⚠️ Chunk rejected for ${uploadId}: ${reason}`);
+      if (!res.headersSent && written !== 'Connection aborted') {
+        // 460 is the tus status for a checksum mismatch
+        const status = !written ? 460 : written === 'Chunk exceeds remaining file size' ? 413 : 500;
+        res.status(status).json({ error: reason, offset: session.offset });
+      }
+      return;
+    }
+
+    const offset = fs.statSync(partPath).size;
+    res.json({ success: true, uploadId, offset, fileSize: session.fileSize });
   } catch (error) {
-    console.error('Jobs list error:', error);
-    res.status(500).json({ error: 'Failed to get jobs list' });
+    console.error('Resumable chunk error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to store chunk' });
+    }
+  } finally {
+    activeChunkWrites.delete(uploadId);
   }
 });
 
-// Serve processed files (for streaming and download)
-app.get('/download/:filename', (req, res) => {
+// Finish a resumable upload: verify the size, move it into place and queue processing
+app.post('/uploads/:uploadId/complete', authenticateToken, requireUploader, limitActiveJobs, async (req, res) => {
+  const { uploadId } = req.params;
+
   try {
-    const filename = req.params.filename;
-    const filePath = path.join('/app/outputs', filename);
-    
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ error: 'File not found' });
+    const session = findUserUploadSession(req, res);
+    if (!session) return;
+
+    if (activeChunkWrites.has(uploadId)) {
+      return res.status(409).json({ error: 'A chunk is still being written', offset: session.offset });
+    }
+    if (session.offset !== session.fileSize) {
+      return res.status(409).json({ error: 'Upload is incomplete', offset: session.offset, fileSize: session.fileSize });
     }
 
-    const stat = fs.statSync(filePath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
+    const fileId = generateFileId();
+    const fileName = `${fileId}_${session.originalName}`;
+    const uploadKey = `uploads/${fileName}`;
+    const { partPath, statePath } = getSessionPaths(uploadId);
 
-    // Check if it's a download request (has download parameter)
-    const isDownload = req.query.download === 'true';
+    await storage.putFile(uploadKey, partPath);
+    fs.rmSync(statePath, { force: true });
 
-    if (isDownload) {
-      // Force download
-      res.download(filePath);
-      return;
-    }
+    // A schedule that passed while the upload was still running starts right away
+    const scheduledFor = session.scheduledFor && new Date(session.scheduledFor) > new Date()
+      ? new Date(session.scheduledFor)
+      : null;
 
-    // For video streaming - completely bypass Express auto headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Headers', 'Range');
-    res.setHeader('Content-Type', getContentType(filename));
-    res.setHeader('Accept-Ranges', 'bytes');
+    const job = await queueUploadedFile({
+      userId: req.user.userId,
+      fileId,
+      originalName: session.originalName,
+      fileName,
+      filePath: uploadKey,
+      fileSize: session.fileSize,
+      mimeType: session.mimeType,
+      // Sessions started before presets existed
+      preset: session.preset || DEFAULT_PRESET,
+      settings: session.settings || {},
+      scheduledFor
+    });
 
-    // For range requests (partial content)
-    if (range) {
-      const parts = range.replace(/bytes=/, "").split("-");
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      const chunksize = (end - start) + 1;
+    console.log(`📤 Resumable upload complete: ${fileName} (${(session.fileSize / 1024 / 1024).toFixed(2)}MB)`);
 
-      res.statusCode = 206;
-      res.setHeader('Content-Range', `bytes ${start}-${end}/${fileSize}`);
-      res.setHeader('Content-Length', chunksize);
+    res.json({
+      success: true,
+      jobId: fileId,
+      fileName: fileName,
+      priority: getPriorityName(job.priority),
+      scheduledFor: job.scheduledFor || null,
+      message: job.scheduledFor
+        ? 'Media file uploaded successfully and scheduled for processing'
+        : 'Media file uploaded successfully and queued for processing'
+    });
+  } catch (error) {
+    console.error('Resumable complete error:', error);
+    res.status(500).json({ error: 'Failed to complete upload' });
+  }
+});
 
-      const stream = fs.createReadStream(filePath, { start, end });
-      stream.pipe(res);
-    } else {
-      // Send entire file
-      res.statusCode = 200;
-      res.setHeader('Content-Length', fileSize);
+// Abort a resumable upload
+app.delete('/uploads/:uploadId', authenticateToken, (req, res) => {
+  try {
+    const session = findUserUploadSession(req, res);
+    if (!session) return;
 
-      const stream = fs.createReadStream(filePath);
-      stream.pipe(res);
-    }
+    removeUploadSession(session.uploadId);
+    res.json({ success: true, message: 'Upload cancelled' });
   } catch (error) {
-    console.error('Download error:', error);
-    res.status(500).json({ error: 'Download failed' });
+    console.error('Resumable abort error:', error);
+    res.status(500).json({ error: 'Failed to cancel upload' });
   }
 });
 
-// Job status endpoint
-app.get('/status/:jobId', authenticateToken, async (req, res) => {
+// Remove resumable uploads that were abandoned
+function cleanupExpiredUploads() {
   try {
-    const { jobId } = req.params;
-    
-    // Get job status from Redis
-    const jobData = await redisClient.get(`job_${jobId}`);
-    
-    if (!jobData) {
-      return res.status(404).json({ error: 'Job not found' });
+    if (!fs.existsSync(PARTIAL_DIR)) return;
+
+    for (const entry of fs.readdirSync(PARTIAL_DIR)) {
+      if (!entry.endsWith('.json')) continue;
+
+      const uploadId = entry.replace(/\.json$/, '');
+      const session = loadUploadSession(uploadId);
+      if (session && Date.now() - new Date(session.createdAt).getTime() > RESUMABLE_EXPIRY_MS) {
+        removeUploadSession(uploadId);
+        console.log(`🧹 Expired upload removed: ${uploadId}`);
+      }
     }
-    
-    const job = JSON.parse(jobData);
-    
-    res.json({
-      jobId: jobId,
-      status: job.status,
-      progress: job.progress || 0,
-      fileName: job.fileName,
-      startedAt: job.startedAt,
-      completedAt: job.completedAt,
-      error: job.error
-    });
-    
   } catch (error) {
-    console.error('Status check error:', error);
-    res.status(500).json({ error: 'Failed to check job status' });
+    console.error('Upload cleanup error:', error);
   }
-});
+}
 
-// Helper function to get content type
-function getContentType(filename) {
-  const ext = path.extname(filename).toLowerCase();
-  const mimeTypes = {
-    '.mp4': 'video/mp4',
-    '.webm': 'video/webm',
-    '.ogg': 'video/ogg',
-    '.mov': 'video/quicktime',
-    '.avi': 'video/x-msvideo',
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.png': 'image/png',
-    '.gif': 'image/gif'
-  };
-  return mimeTypes[ext] || 'application/octet-stream';
+setInterval(cleanupExpiredUploads, 60 * 60 * 1000);
+
+// Signed media URLs look like /media/<videoId>/<expires>/<signature>/<file>.
+// The signature lives in the path so relative HLS playlist/segment URLs inherit it.
+const MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || JWT_SECRET;
+
+// Output files share one signature per video; the original upload is signed with an "original" scope
+function signMedia(videoId, expires, scope = '') {
+  return crypto.createHmac('sha256', MEDIA_URL_SECRET)
+    .update(`${videoId}:${expires}${scope ? `:${scope}` : ''}`)
+    .digest('base64url');
 }
 
-// Start server
+function isValidMediaSignature(videoId, expires, signature, scope) {
+  const expected = Buffer.from(signMedia(videoId, expires, scope));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Like authenticateToken, but anonymous requests continue without req.user (public videos)
+const authenticateOptional = (req, res, next) => {
+  req.tokenFromQuery = req.query.access_token;
+
+  if (!req.headers['authorization'] && !req.tokenFromQuery) {
+    return next();
+  }
+
+  authenticateToken(req, res, next);
+};
+
+// Every output file of a video is named "<job id>_..."; legacy rows without a
+// job_id used the "<timestamp>_<random>" prefix of their file_name
+const OUTPUT_PREFIX_PATTERN = /^(\d+_[a-z0-9]+)_/;
+const VIDEO_ACCESS_COLUMNS = `id, user_id, is_public, file_name, file_path, original_name,
+  COALESCE(job_id, split_part(file_name, '_', 1) || '_' || split_part(file_name, '_', 2)) AS output_prefix`;
+
+async function findVideoByOutputFile(filename) {
+  const match = filename.match(OUTPUT_PREFIX_PATTERN);
+  if (!match) return null;
+
+  // Indexed lookup by job id (idx_videos_job_id); only a miss falls back to the legacy scan
+  const result = await pool.query(
+    `SELECT ${VIDEO_ACCESS_COLUMNS} FROM videos WHERE job_id = $1 AND deleted_at IS NULL LIMIT 1`,
+    [match[1]]
+  );
+  if (result.rows.length > 0) return result.rows[0];
+
+  const legacy = await pool.query(
+    `SELECT ${VIDEO_ACCESS_COLUMNS} FROM videos
+     WHERE job_id IS NULL AND deleted_at IS NULL
+       AND split_part(file_name, '_', 1) || '_' || split_part(file_name, '_', 2) = $1
+     LIMIT 1`,
+    [match[1]]
+  );
+  return legacy.rows[0] || null;
+}
+
+function canAccessVideo(video, user) {
+  return video.is_public || Boolean(user && (video.user_id === user.userId || user.role === 'admin'));
+}
+
+// Pipe a storage stream into the response; a failure mid-stream can only drop the connection
+function pipeStorageStream(stream, res) {
+  stream.on('error', (error) => {
+    console.error('Storage stream error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+// Stream a stored file with HTTP range support, or send it as an attachment
+async function streamFile(req, res, key, stat, downloadName) {
+  const fileSize = stat.size;
+  const range = req.headers.range;
+
+  if (downloadName) {
+    res.attachment(downloadName);
+    res.setHeader('Content-Length', fileSize);
+    pipeStorageStream(await storage.createReadStream(key), res);
+    return;
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Range');
+  res.setHeader('Content-Type', getContentType(key));
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+
+  if (range) {
+    const parts = range.replace(/bytes=/, "").split("-");
+    const start = parseInt(parts[0], 10);
+    const end = parts[1] ? Math.min(parseInt(parts[1], 10), fileSize - 1) : fileSize - 1;
+
+    if (isNaN(start) || start > end) {
+      res.setHeader('Content-Range', `bytes */${fileSize}`);
+      return res.status(416).end();
+    }
+
+    res.statusCode = 206;
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${fileSize}`);
+    res.setHeader('Content-Length', (end - start) + 1);
+
+    pipeStorageStream(await storage.createReadStream(key, { start, end }), res);
+  } else {
+    res.statusCode = 200;
+    res.setHeader('Content-Length', fileSize);
+
+    pipeStorageStream(await storage.createReadStream(key), res);
+  }
+}
+
+// Serve a processed file by name to its owner (or anyone, for public videos)
+async function serveOutputFile(req, res, asDownload) {
+  const filename = path.basename(req.params.filename);
+  const key = `outputs/${filename}`;
+
+  const video = await findVideoByOutputFile(filename);
+  const stat = video && canAccessVideo(video, req.user) ? await storage.stat(key) : null;
+
+  // Same answer for "missing" and "not yours" so filenames cannot be probed
+  if (!stat) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  await streamFile(req, res, key, stat, asDownload ? filename : null);
+}
+
+// Video streaming endpoint
+app.get('/video/:filename', authenticateOptional, async (req, res) => {
+  try {
+    await serveOutputFile(req, res, false);
+  } catch (error) {
+    console.error('Stream error:', error);
+    res.status(500).json({ error: 'Stream failed' });
+  }
+});
+
+// Serve processed files (for streaming and download)
+app.get('/download/:filename', authenticateOptional, async (req, res) => {
+  try {
+    await serveOutputFile(req, res, req.query.download === 'true');
+  } catch (error) {
+    console.error('Download error:', error);
+    res.status(500).json({ error: 'Download failed' });
+  }
+});
+
+// Signed media access: "original" is the uploaded file, anything else must be
+// one of the video's outputs (including files inside its HLS directory)
+app.get('/media/:videoId/:expires/:signature/*', async (req, res) => {
+  try {
+    const { videoId, expires, signature } = req.params;
+    const requested = req.params[0];
+
+    if (!/^\d+$/.test(expires) || Number(expires) * 1000 < Date.now()) {
+      return res.status(403).json({ error: 'Media URL expired' });
+    }
+
+    if (!isValidMediaSignature(videoId, expires, signature, requested === 'original' ? 'original' : '')) {
+      return res.status(403).json({ error: 'Invalid media signature' });
+    }
+
+    const result = await pool.query(
+      `SELECT ${VIDEO_ACCESS_COLUMNS} FROM videos WHERE id = $1 AND deleted_at IS NULL`,
+      [videoId]
+    );
+    const video = result.rows[0];
+
+    if (!video) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    let key;
+    if (requested === 'original') {
+      key = normalizeKey(video.file_path) || `uploads/${video.file_name}`;
+    } else {
+      key = path.posix.normalize(`outputs/${requested}`);
+
+      if (key.includes('..') || !key.startsWith(`outputs/${video.output_prefix}_`)) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+    }
+
+    const stat = await storage.stat(key);
+    if (!stat) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const downloadName = req.query.download === 'true' ?
+      (requested === 'original' ? video.original_name : path.posix.basename(key)) : null;
+
+    await streamFile(req, res, key, stat, downloadName);
+  } catch (error) {
+    console.error('Media error:', error);
+    res.status(500).json({ error: 'Failed to serve media' });
+  }
+});
+
+// Custom thumbnails: checked by their leading bytes, not just the client-supplied mimetype
+const THUMBNAIL_MAX_SIZE = 5 * 1024 * 1024;
+const THUMBNAIL_TYPES = {
+  'image/jpeg': { ext: '.jpg', magic: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  'image/png': { ext: '.png', magic: (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { ext: '.webp', magic: (buf) => buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP' }
+};
+
+function readFileHead(filePath, length) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, 0);
+    return buffer;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Upload a custom thumbnail image for one of the caller's videos
+app.post('/videos/:id/thumbnail', authenticateToken, requireUploader, parseFileUpload, async (req, res) => {
+  const image = req.files && req.files.thumbnail;
+
+  try {
+    if (!image) {
+      return res.status(400).json({ error: 'No thumbnail image uploaded' });
+    }
+
+    const type = THUMBNAIL_TYPES[image.mimetype];
+    if (!type || !type.magic(readFileHead(image.tempFilePath, 12))) {
+      return res.status(400).json({ error: 'Thumbnail must be a JPEG, PNG or WebP image' });
+    }
+
+    if (image.size > THUMBNAIL_MAX_SIZE) {
+      return res.status(413).json({ error: 'Thumbnail too large (5MB max)' });
+    }
+
+    const result = await pool.query(
+      `SELECT ${VIDEO_ACCESS_COLUMNS}, thumbnail_path FROM videos
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL`,
+      [req.params.id, req.user.userId]
+    );
+    const video = result.rows[0];
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found or access denied' });
+    }
+
+    // Named with the video's output prefix so signed media URLs and purging cover it
+    const thumbnailKey = `outputs/${video.output_prefix}_thumbnail_custom_${Date.now()}${type.ext}`;
+    await storage.putFile(thumbnailKey, image.tempFilePath);
+
+    // Only one custom thumbnail is kept per video
+    const previousCustom = video.thumbnail_path && video.thumbnail_path.includes('_thumbnail_custom_')
+      ? normalizeKey(video.thumbnail_path)
+      : null;
+    const previousStat = previousCustom ? await storage.stat(previousCustom) : null;
+    const previousSize = previousStat ? previousStat.size : 0;
+    const sizeDelta = image.size - previousSize;
+
+    // Keep storage accounting in step (the worker re-measures everything when it processes the video)
+    await pool.query(
+      `UPDATE videos
+       SET thumbnail_path = $1,
+           output_size = COALESCE(output_size, 0) + $3,
+           output_sizes = jsonb_set(COALESCE(output_sizes, '{}'::jsonb), '{thumbnails}',
+             to_jsonb(COALESCE((output_sizes->>'thumbnails')::bigint, 0) + $3)),
+           updated_at = NOW()
+       WHERE id = $2`,
+      [thumbnailKey, video.id, sizeDelta]
+    );
+
+    if (previousCustom) {
+      storage.remove(previousCustom).catch(error => console.error('Failed to remove old thumbnail:', error));
+    }
+
+    console.log(`🖼️ Custom thumbnail set for video ${video.id}`);
+
+    res.json({
+      success: true,
+      thumbnailPath: thumbnailKey
+    });
+
+  } catch (error) {
+    console.error('Thumbnail upload error:', error);
+    res.status(500).json({ error: 'Thumbnail upload failed' });
+  } finally {
+    if (image && fs.existsSync(image.tempFilePath)) {
+      fs.unlink(image.tempFilePath, () => {});
+    }
+  }
+});
+
+// Subtitle tracks: SRT or WebVTT files, stored as WebVTT next to the video's outputs.
+// One uploaded track per language; tracks extracted from the video itself come from the worker.
+const SUBTITLE_MAX_SIZE = 1024 * 1024;
+const SUBTITLE_LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const SUBTITLE_LABEL_MAX_LENGTH = 50;
+
+// SRT cues are WebVTT cues apart from the missing header and the decimal comma in timings;
+// null when the text is neither
+function toWebVtt(text) {
+  const body = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+  if (/^WEBVTT/.test(body)) return `${body}\n`;
+
+  if (!/\d+:\d{2}:\d{2}[,.]\d{3}\s+-->\s+\d+:\d{2}:\d{2}[,.]\d{3}/.test(body)) return null;
+  return `WEBVTT\n\n${body.replace(/(\d+:\d{2}:\d{2}),(\d{3})/g, '$1.$2')}\n`;
+}
+
+// Keep storage accounting in step when a subtitle file is added or removed
+const SUBTITLE_SIZE_UPDATE = `output_size = GREATEST(COALESCE(output_size, 0) + $3, 0),
+           output_sizes = jsonb_set(COALESCE(output_sizes, '{}'::jsonb), '{subtitles}',
+             to_jsonb(GREATEST(COALESCE((output_sizes->>'subtitles')::bigint, 0) + $3, 0)))`;
+
+// Upload a subtitle track (field "subtitle", plus "language" and an optional "label")
+app.post('/videos/:id/subtitles', authenticateToken, requireUploader, parseFileUpload, async (req, res) => {
+  const file = req.files && req.files.subtitle;
+
+  try {
+    const language = String((req.body || {}).language || '').trim();
+    const label = String((req.body || {}).label || '').trim() || language;
+
+    if (!file) {
+      return res.status(400).json({ error: 'No subtitle file uploaded' });
+    }
+    if (!SUBTITLE_LANGUAGE_PATTERN.test(language)) {
+      return res.status(400).json({ error: 'language must be a language code such as "en", "th" or "pt-BR"' });
+    }
+    if (label.length > SUBTITLE_LABEL_MAX_LENGTH) {
+      return res.status(400).json({ error: `label must be at most ${SUBTITLE_LABEL_MAX_LENGTH} characters` });
+    }
+    if (file.size > SUBTITLE_MAX_SIZE) {
+      return res.status(413).json({ error: 'Subtitle file too large (1MB max)' });
+    }
+
+    const vtt = toWebVtt(fs.readFileSync(file.tempFilePath, 'utf8'));
+    if (!vtt) {
+      return res.status(400).json({ error: 'Subtitle file must be SRT or WebVTT' });
+    }
+
+    const result = await pool.query(
+      `SELECT ${VIDEO_ACCESS_COLUMNS}, subtitles FROM videos
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL`,
+      [req.params.id, req.user.userId]
+    );
+    const video = result.rows[0];
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found or access denied' });
+    }
+
+    // Named with the video's output prefix so signed media URLs and purging cover it;
+    // a new upload for the same language overwrites the old file
+    const key = `outputs/${video.output_prefix}_subs_user_${language}.vtt`;
+    const previousStat = await storage.stat(key);
+    fs.writeFileSync(file.tempFilePath, vtt);
+    await storage.putFile(key, file.tempFilePath);
+
+    const track = { language, label, source: 'upload', path: key };
+    await pool.query(
+      `UPDATE videos
+       SET subtitles = COALESCE(
+             (SELECT jsonb_agg(track) FROM jsonb_array_elements(subtitles) AS track
+              WHERE NOT (track->>'source' = 'upload' AND track->>'language' = $2)), '[]'::jsonb) || $4::jsonb,
+           ${SUBTITLE_SIZE_UPDATE},
+           updated_at = NOW()
+       WHERE id = $1`,
+      [video.id, language, Buffer.byteLength(vtt) - (previousStat ? previousStat.size : 0), JSON.stringify([track])]
+    );
+
+    console.log(`💬 Subtitle track ${language} set for video ${video.id}`);
+
+    res.json({
+      success: true,
+      subtitle: track
+    });
+
+  } catch (error) {
+    console.error('Subtitle upload error:', error);
+    res.status(500).json({ error: 'Subtitle upload failed' });
+  } finally {
+    if (file && fs.existsSync(file.tempFilePath)) {
+      fs.unlink(file.tempFilePath, () => {});
+    }
+  }
+});
+
+// Remove an uploaded subtitle track (extracted tracks come back with every processing run)
+app.delete('/videos/:id/subtitles/:language', authenticateToken, requireUploader, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, subtitles FROM videos WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL`,
+      [req.params.id, req.user.userId]
+    );
+    const video = result.rows[0];
+    const track = video && (video.subtitles || [])
+      .find(t => t.source === 'upload' && t.language === req.params.language);
+
+    if (!track) {
+      return res.status(404).json({ error: 'Subtitle track not found' });
+    }
+
+    const key = normalizeKey(track.path);
+    const stat = await storage.stat(key);
+    await storage.remove(key);
+    await pool.query(
+      `UPDATE videos
+       SET subtitles = COALESCE(
+             (SELECT jsonb_agg(track) FROM jsonb_array_elements(subtitles) AS track
+              WHERE NOT (track->>'source' = 'upload' AND track->>'language' = $2)), '[]'::jsonb),
+           ${SUBTITLE_SIZE_UPDATE},
+           updated_at = NOW()
+       WHERE id = $1`,
+      [video.id, track.language, -(stat ? stat.size : 0)]
+    );
+
+    console.log(`💬 Subtitle track ${track.language} removed from video ${video.id}`);
+
+    res.json({ success: true, message: 'Subtitle track removed' });
+
+  } catch (error) {
+    console.error('Subtitle delete error:', error);
+    res.status(500).json({ error: 'Failed to remove subtitle track' });
+  }
+});
+
+// Editing: trim, clip, join, crop and rotate the caller's videos into a new library item.
+// The worker renders the edit as the new video's original (task "edit"), then processes it like an upload.
+const EDIT_MAX_SOURCES = 10;
+const EDIT_MIN_SECONDS = 1;
+const EDIT_ROTATIONS = [0, 90, 180, 270];
+const EDIT_TITLE_MAX_LENGTH = 255;
+
+function parseEditRequest(body) {
+  const { sources, crop, rotate, title } = body || {};
+
+  if (!Array.isArray(sources) || sources.length === 0 || sources.length > EDIT_MAX_SOURCES) {
+    return { error: `sources must list 1-${EDIT_MAX_SOURCES} videos` };
+  }
+
+  const edit = { sources: [] };
+  for (const source of sources) {
+    const videoId = Number(source && source.videoId);
+    const start = source && source.start !== undefined && source.start !== null ? Number(source.start) : undefined;
+    const end = source && source.end !== undefined && source.end !== null ? Number(source.end) : undefined;
+
+    if (!Number.isInteger(videoId) || videoId <= 0) {
+      return { error: 'Every source needs a videoId' };
+    }
+    if ([start, end].some(value => value !== undefined && (!Number.isFinite(value) || value < 0))) {
+      return { error: 'start and end must be positive numbers of seconds' };
+    }
+    edit.sources.push({ videoId, ...(start ? { start } : {}), ...(end !== undefined ? { end } : {}) });
+  }
+
+  // Crop is a fraction of the frame: { x, y, width, height } between 0 and 1
+  if (crop !== undefined && crop !== null) {
+    const values = ['x', 'y', 'width', 'height'].map(name => Number(crop[name]));
+    const [x, y, width, height] = values;
+    if (values.some(value => !Number.isFinite(value)) || x < 0 || y < 0 || width <= 0 || height <= 0 ||
+      x + width > 1.0001 || y + height > 1.0001) {
+      return { error: 'crop must be { x, y, width, height } fractions of the frame' };
+    }
+    // A crop of the whole frame is no crop
+    if (width < 1 || height < 1) edit.crop = { x, y, width, height };
+  }
+
+  if (rotate !== undefined && rotate !== null) {
+    if (!EDIT_ROTATIONS.includes(Number(rotate))) {
+      return { error: `rotate must be one of ${EDIT_ROTATIONS.join(', ')}` };
+    }
+    if (Number(rotate) !== 0) edit.rotate = Number(rotate);
+  }
+
+  if (title !== undefined && title !== null && (typeof title !== 'string' || title.trim().length > EDIT_TITLE_MAX_LENGTH)) {
+    return { error: `title must be at most ${EDIT_TITLE_MAX_LENGTH} characters` };
+  }
+
+  return { edit, title: title ? title.trim() || null : null };
+}
+
+// Queue an editing job; it shows up in the library and job lists like any other upload
+app.post('/edits', authenticateToken, requireUploader, limitUploadRate, limitActiveJobs, async (req, res) => {
+  try {
+    const { edit, title, error } = parseEditRequest(req.body);
+    const { preset, error: presetError } = parsePreset((req.body || {}).preset);
+    if (error || presetError) {
+      return res.status(400).json({ error: error || presetError });
+    }
+
+    const result = await pool.query(
+      `SELECT id, original_name, file_path, file_size, mime_type, duration, status FROM videos
+       WHERE id = ANY($1) AND user_id = $2 AND deleted_at IS NULL`,
+      [edit.sources.map(source => source.videoId), req.user.userId]
+    );
+    const videos = new Map(result.rows.map(row => [row.id, row]));
+
+    let estimatedSize = 0;
+    for (const source of edit.sources) {
+      const video = videos.get(source.videoId);
+      if (!video) {
+        return res.status(404).json({ error: `Video ${source.videoId} not found or access denied` });
+      }
+      if (!video.mime_type.startsWith('video/') || !video.file_path || !video.duration) {
+        return res.status(400).json({ error: `Video ${source.videoId} cannot be edited (only processed videos)` });
+      }
+
+      const start = source.start || 0;
+      const end = source.end !== undefined ? source.end : video.duration;
+      if (end > video.duration + 0.5 || end - start < EDIT_MIN_SECONDS) {
+        return res.status(400).json({
+          error: `Range of video ${source.videoId} must be at least ${EDIT_MIN_SECONDS}s within its ${video.duration.toFixed(1)}s`
+        });
+      }
+      // A range running to the end is stored without one
+      if (end >= video.duration) delete source.end;
+      estimatedSize += Math.round(video.file_size * ((end - start) / video.duration));
+    }
+
+    const [single] = edit.sources;
+    if (edit.sources.length === 1 && !single.start && single.end === undefined && !edit.crop && !edit.rotate) {
+      return res.status(400).json({ error: 'Nothing to edit: set a range, crop, rotation or more than one source' });
+    }
+
+    // The render is a new original, so it counts against the quota like an upload of that size
+    const excess = await findQuotaExcess(req.user.userId, estimatedSize);
+    if (excess) {
+      return res.status(413).json(excess);
+    }
+
+    const first = videos.get(single.videoId);
+    const fileId = generateFileId();
+    const originalName = `${path.parse(first.original_name).name}_${edit.sources.length > 1 ? 'joined' : 'edited'}.mp4`;
+    const fileName = `${fileId}_${originalName}`;
+
+    const job = await queueUploadedFile({
+      userId: req.user.userId,
+      fileId,
+      originalName,
+      fileName,
+      filePath: `uploads/${fileName}`,
+      fileSize: estimatedSize,
+      mimeType: 'video/mp4',
+      preset,
+      settings: { edit },
+      scheduledFor: null,
+      title
+    });
+
+    console.log(`✂️ Edit queued: ${fileName} from ${edit.sources.map(source => source.videoId).join(', ')}`);
+
+    res.json({
+      success: true,
+      jobId: fileId,
+      videoId: job.dbId,
+      fileName,
+      priority: getPriorityName(job.priority)
+    });
+
+  } catch (error) {
+    console.error('Edit error:', error);
+    res.status(500).json({ error: 'Failed to queue edit' });
+  }
+});
+
+// Get job status (owner only)
+app.get('/job/:id', authenticateToken, async (req, res) => {
+  try {
+    const jobData = await redisClient.get(`job_${req.params.id}`);
+    const job = jobData ? JSON.parse(jobData) : null;
+    
+    if (!job || job.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Job status error:', error);
+    res.status(500).json({ error: 'Failed to get job status' });
+  }
+});
+
+// List the caller's jobs
+app.get('/jobs', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, job_id, original_name, file_name, status, progress, attempts, error_message,
+              processing_started_at, processing_completed_at, created_at
+       FROM videos
+       WHERE user_id = $1 AND job_id IS NOT NULL AND deleted_at IS NULL
+       ORDER BY created_at DESC`,
+      [req.user.userId]
+    );
+
+    const jobs = [];
+    for (const video of result.rows) {
+      const jobData = await redisClient.get(`job_${video.job_id}`);
+      const live = jobData ? JSON.parse(jobData) : null;
+
+      jobs.push({
+        ...(live || {}),
+        id: video.job_id,
+        dbId: video.id,
+        userId: req.user.userId,
+        originalName: video.original_name,
+        fileName: video.file_name,
+        status: video.status,
+        progress: live && video.status === 'processing' ?
+          Math.max(live.progress || 0, video.progress || 0) : (video.progress || 0),
+        attempts: video.attempts,
+        error: video.error_message,
+        createdAt: video.created_at,
+        startedAt: video.processing_started_at,
+        completedAt: video.processing_completed_at
+      });
+    }
+    
+    res.json(jobs);
+  } catch (error) {
+    console.error('Jobs list error:', error);
+    res.status(500).json({ error: 'Failed to get jobs list' });
+  }
+});
+
+// Combined concurrency of the live workers (see registerWorker in processing-worker)
+async function getWorkerCapacity() {
+  const workers = await listWorkers(redisClient);
+  return workers.reduce((sum, worker) => sum + (worker.concurrency || 1), 0);
+}
+
+// Average processing time of recently completed jobs, refreshed at most once a minute
+const AVERAGE_PROCESSING_TTL_MS = 60 * 1000;
+let averageProcessing = { seconds: null, expiresAt: 0 };
+
+async function getAverageProcessingSeconds() {
+  if (Date.now() < averageProcessing.expiresAt) return averageProcessing.seconds;
+
+  const result = await pool.query(
+    `SELECT AVG(EXTRACT(EPOCH FROM (processing_completed_at - processing_started_at)))::float AS seconds
+     FROM (
+       SELECT processing_started_at, processing_completed_at FROM videos
+       WHERE status = 'completed' AND processing_started_at IS NOT NULL AND processing_completed_at IS NOT NULL
+       ORDER BY processing_completed_at DESC
+       LIMIT 50
+     ) recent`
+  );
+  averageProcessing = { seconds: result.rows[0].seconds, expiresAt: Date.now() + AVERAGE_PROCESSING_TTL_MS };
+  return averageProcessing.seconds;
+}
+
+// Where a waiting job stands. Jobs are claimed by priority, then users take turns (see
+// countJobsAhead), so position and start time are estimates. Scheduled jobs and retries start
+// when they leave the delayed set.
+async function getQueueEstimate(jobId, userId) {
+  const jobsAhead = await countJobsAhead(redisClient, jobId, userId);
+
+  if (jobsAhead === null) {
+    const delayed = await redisClient.zRangeWithScores(DELAYED_KEY, 0, -1);
+    const entry = delayed.find(({ value }) => parseQueueEntry(value).id === jobId);
+    return entry ? { queuePosition: null, jobsAhead: null, estimatedStartAt: new Date(entry.score).toISOString() } : {};
+  }
+
+  const [inFlight, capacity, averageSeconds] = await Promise.all([
+    redisClient.lLen(PROCESSING_KEY),
+    getWorkerCapacity(),
+    getAverageProcessingSeconds()
+  ]);
+
+  // Free slots take the first jobs at once, after that a slot frees up every averageSeconds
+  let estimatedStartAt = null;
+  if (capacity > 0) {
+    const freeSlots = Math.max(0, capacity - inFlight);
+    const rounds = jobsAhead < freeSlots ? 0 : Math.floor((jobsAhead - freeSlots) / capacity) + 1;
+    if (rounds === 0 || averageSeconds) {
+      estimatedStartAt = new Date(Date.now() + rounds * (averageSeconds || 0) * 1000).toISOString();
+    }
+  }
+
+  return { queuePosition: jobsAhead + 1, jobsAhead, estimatedStartAt };
+}
+
+// Job status endpoint (Postgres is the source of truth, Redis adds live progress)
+app.get('/status/:jobId', authenticateToken, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const result = await pool.query(
+      `SELECT id, file_name, status, progress, attempts, error_message, step_timings,
+              processing_started_at, processing_completed_at, priority, scheduled_for
+       FROM videos WHERE job_id = $1 AND user_id = $2`,
+      [jobId, req.user.userId]
+    );
+    
+    // Get live job status from Redis (may have been evicted)
+    const jobData = await redisClient.get(`job_${jobId}`);
+    const job = jobData ? JSON.parse(jobData) : null;
+
+    if (result.rows.length === 0) {
+      if (!job || job.userId !== req.user.userId) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      // Legacy uploads without a job_id on their row
+      return res.json({
+        jobId: jobId,
+        status: job.status,
+        progress: job.progress || 0,
+        fileName: job.fileName,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        error: job.error
+      });
+    }
+
+    const video = result.rows[0];
+    const isActive = video.status === 'processing' && job && job.status === 'processing';
+    const estimate = video.status === 'queued' ? await getQueueEstimate(jobId, req.user.userId) : {};
+    
+    res.json({
+      jobId: jobId,
+      videoId: video.id,
+      status: video.status,
+      progress: isActive ? Math.max(job.progress || 0, video.progress || 0) : (video.progress || 0),
+      fileName: video.file_name,
+      attempts: video.attempts,
+      startedAt: video.processing_started_at,
+      completedAt: video.processing_completed_at,
+      stepTimings: video.step_timings,
+      error: video.error_message,
+      priority: getPriorityName(video.priority),
+      scheduledFor: video.scheduled_for,
+      ...estimate
+    });
+    
+  } catch (error) {
+    console.error('Status check error:', error);
+    res.status(500).json({ error: 'Failed to check job status' });
+  }
+});
+
+async function requeueVideo(video) {
+  const job = buildJobFromVideo(video);
+
+  // A cancel aimed at an earlier run must not hit this one
+  await redisClient.del(jobControlKey(job.id));
+  await enqueueJob(redisClient, job);
+  await redisClient.set(`job_${job.id}`, JSON.stringify(job), { EX: JOB_STATUS_TTL });
+  await publishJobStatus(job, 'queued');
+  return job;
+}
+
+async function publishJobStatus(job, status, fields = {}) {
+  await redisClient.publish(PROGRESS_CHANNEL, JSON.stringify({
+    jobId: job.id,
+    videoId: job.dbId,
+    userId: job.userId,
+    fileName: job.originalName || job.fileName,
+    status,
+    progress: 0,
+    attempts: 0,
+    timestamp: new Date().toISOString(),
+    ...fields
+  }));
+}
+
+// The caller's video behind a job id, or a 404
+async function findUserJobVideo(req, res) {
+  const result = await pool.query(
+    `SELECT ${JOB_VIDEO_COLUMNS} FROM videos
+     WHERE job_id = $1 AND user_id = $2 AND deleted_at IS NULL`,
+    [req.params.jobId, req.user.userId]
+  );
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  return result.rows[0];
+}
+
+// Stop a queued or running job. Waiting jobs are taken off the queue right away; a running
+// job is stopped by the worker, which kills ffmpeg, discards partial outputs and reports back.
+async function stopJob(req, res, action) {
+  const video = await findUserJobVideo(req, res);
+  if (!video) return;
+
+  const allowed = action === 'cancel' ? ['queued', 'processing', 'paused'] : ['queued', 'processing'];
+  if (!allowed.includes(video.status)) {
+    return res.status(409).json({ error: `Job cannot be ${action === 'cancel' ? 'cancelled' : 'paused'} (${video.status})` });
+  }
+
+  const status = action === 'cancel' ? 'cancelled' : 'paused';
+  const job = video.status === 'paused' ? buildJobFromVideo(video) : await dequeueWaitingJob(redisClient, video.job_id, video.user_id);
+
+  if (job) {
+    await pool.query(
+      `UPDATE videos SET status = $2, progress = 0, error_message = NULL, updated_at = NOW() WHERE id = $1`,
+      [video.id, status]
+    );
+    await redisClient.set(`job_${video.job_id}`, JSON.stringify({ ...job, status, progress: 0 }), { EX: JOB_STATUS_TTL });
+    await publishJobStatus(job, status);
+
+    console.log(`⏹️ Job ${video.job_id} ${status} by user ${req.user.userId}`);
+    return res.json({ success: true, status, message: `Job ${status}` });
+  }
+
+  if (!await isJobProcessing(redisClient, video.job_id)) {
+    return res.status(409).json({ error: 'Job is not waiting or running' });
+  }
+
+  await requestJobControl(redisClient, video.job_id, { action });
+
+  console.log(`⏹️ ${action} requested for running job ${video.job_id} by user ${req.user.userId}`);
+  res.status(202).json({ success: true, status: video.status, message: `Job will be ${status} shortly` });
+}
+
+// Cancel a queued, paused or running job
+app.post('/jobs/:jobId/cancel', authenticateToken, requireUploader, async (req, res) => {
+  try {
+    await stopJob(req, res, 'cancel');
+  } catch (error) {
+    console.error('Job cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+// Pause a queued or running job (a running job restarts from the beginning when resumed)
+app.post('/jobs/:jobId/pause', authenticateToken, requireUploader, async (req, res) => {
+  try {
+    await stopJob(req, res, 'pause');
+  } catch (error) {
+    console.error('Job pause error:', error);
+    res.status(500).json({ error: 'Failed to pause job' });
+  }
+});
+
+// Put a paused job back on the queue
+app.post('/jobs/:jobId/resume', authenticateToken, requireUploader, limitActiveJobs, async (req, res) => {
+  try {
+    const video = await findUserJobVideo(req, res);
+    if (!video) return;
+
+    if (video.status !== 'paused') {
+      return res.status(409).json({ error: `Only paused jobs can be resumed (${video.status})` });
+    }
+
+    await pool.query(
+      `UPDATE videos SET status = 'queued', progress = 0, attempts = 0, error_message = NULL, updated_at = NOW()
+       WHERE id = $1 AND status = 'paused'`,
+      [video.id]
+    );
+    await requeueVideo(video);
+
+    res.json({ success: true, status: 'queued', message: 'Job resumed' });
+  } catch (error) {
+    console.error('Job resume error:', error);
+    res.status(500).json({ error: 'Failed to resume job' });
+  }
+});
+
+// Encoding settings a reprocess may override on top of the preset (everything optional)
+const REPROCESS_HEIGHTS = [240, 360, 480, 720, 1080];
+const REPROCESS_AUDIO_BITRATES = [64, 96, 128, 192, 256, 320];
+const REPROCESS_VIDEO_BITRATE = { min: 200, max: 8000 }; // kbps
+
+function parseEncodeSettings(body) {
+  const { settings, error } = parseAudioSettings(body);
+  if (error) return { error };
+  const { height, videoBitrate, audioBitrate, burnSubtitles } = body || {};
+
+  if (height !== undefined && height !== null) {
+    if (!REPROCESS_HEIGHTS.includes(Number(height))) {
+      return { error: `height must be one of ${REPROCESS_HEIGHTS.join(', ')}` };
+    }
+    settings.height = Number(height);
+  }
+  if (videoBitrate !== undefined && videoBitrate !== null) {
+    const value = Number(videoBitrate);
+    if (!Number.isInteger(value) || value < REPROCESS_VIDEO_BITRATE.min || value > REPROCESS_VIDEO_BITRATE.max) {
+      return { error: `videoBitrate must be ${REPROCESS_VIDEO_BITRATE.min}-${REPROCESS_VIDEO_BITRATE.max} kbps` };
+    }
+    settings.videoBitrate = value;
+  }
+  if (audioBitrate !== undefined && audioBitrate !== null) {
+    if (!REPROCESS_AUDIO_BITRATES.includes(Number(audioBitrate))) {
+      return { error: `audioBitrate must be one of ${REPROCESS_AUDIO_BITRATES.join(', ')}` };
+    }
+    settings.audioBitrate = Number(audioBitrate);
+  }
+  // Language of a subtitle track to burn into an extra copy of the video
+  if (burnSubtitles !== undefined && burnSubtitles !== null && burnSubtitles !== '') {
+    if (typeof burnSubtitles !== 'string' || !SUBTITLE_LANGUAGE_PATTERN.test(burnSubtitles)) {
+      return { error: 'burnSubtitles must be a subtitle language code' };
+    }
+    settings.burnSubtitles = burnSubtitles;
+  }
+
+  return { settings };
+}
+
+// Run processing again for an existing upload, optionally with another preset and/or settings.
+// The new outputs replace the old ones once the job completes.
+app.post('/videos/:id/reprocess', authenticateToken, requireUploader, limitActiveJobs, async (req, res) => {
+  try {
+    const { settings, error } = parseEncodeSettings(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await pool.query(
+      `SELECT ${JOB_VIDEO_COLUMNS} FROM videos
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL`,
+      [req.params.id, req.user.userId]
+    );
+    const video = result.rows[0];
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found or access denied' });
+    }
+    if (!video.job_id) {
+      return res.status(409).json({ error: 'Video has no processing job' });
+    }
+    if (['queued', 'processing'].includes(video.status)) {
+      return res.status(409).json({ error: 'Video is already being processed, cancel it first' });
+    }
+    if (settings.burnSubtitles && !(video.subtitles || []).some(track => track.language === settings.burnSubtitles)) {
+      return res.status(400).json({ error: `Video has no ${settings.burnSubtitles} subtitle track` });
+    }
+
+    // The old outputs stay until the job completes, so a fresh set is estimated at the original's
+    // size per encoded copy (the download file, plus the burned-in copy when one is asked for)
+    const excess = await findQuotaExcess(
+      req.user.userId,
+      (Number(video.file_size) || 0) * (settings.burnSubtitles ? 2 : 1)
+    );
+    if (excess) {
+      return res.status(413).json(excess);
+    }
+
+    // A failed job may still sit in the dead-letter list
+    await dequeueWaitingJob(redisClient, video.job_id, video.user_id);
+
+    // Without a preset in the request the video keeps the one it has (if that still exists)
+    const currentPreset = (video.processing_settings || {}).preset;
+    const { preset, error: presetError } = parsePreset(
+      (req.body && req.body.preset) || (hasPreset(currentPreset) ? currentPreset : undefined)
+    );
+    if (presetError) {
+      return res.status(400).json({ error: presetError });
+    }
+
+    // An edit that never finished has no original yet, so it has to be rendered again
+    const { edit } = video.processing_settings || {};
+    if (edit && !(await storage.stat(normalizeKey(video.file_path)))) {
+      settings.edit = edit;
+    }
+
+    video.processing_settings = { preset, ...settings };
+    video.scheduled_for = null;
+    await pool.query(
+      `UPDATE videos
+       SET status = 'queued', progress = 0, attempts = 0, error_message = NULL, processing_settings = $2,
+           scheduled_for = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [video.id, video.processing_settings]
+    );
+    const job = await requeueVideo(video);
+
+    console.log(`🔄 Reprocess queued for video ${video.id}`, video.processing_settings);
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      settings: video.processing_settings,
+      message: 'Video queued for reprocessing'
+    });
+  } catch (error) {
+    console.error('Reprocess error:', error);
+    res.status(500).json({ error: 'Failed to reprocess video' });
+  }
+});
+
+// Open progress streams per user: userId -> Set of responses
+const progressStreams = new Map();
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcastProgress(update) {
+  const streams = progressStreams.get(update.userId);
+  if (!streams) return;
+
+  for (const res of streams) {
+    sendEvent(res, 'progress', update);
+  }
+}
+
+// Server-Sent Events stream of progress for all of the caller's active jobs
+app.get('/events', allowQueryToken, authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  if (!progressStreams.has(userId)) {
+    progressStreams.set(userId, new Set());
+  }
+  progressStreams.get(userId).add(res);
+
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    const streams = progressStreams.get(userId);
+    if (streams) {
+      streams.delete(res);
+      if (streams.size === 0) progressStreams.delete(userId);
+    }
+  });
+
+  // Snapshot of jobs already in flight (or paused), so a fresh page starts with current state
+  try {
+    const result = await pool.query(
+      `SELECT id, job_id, original_name, status, progress, attempts, error_message, scheduled_for
+       FROM videos
+       WHERE user_id = $1 AND status IN ('queued', 'processing', 'paused') AND deleted_at IS NULL
+       ORDER BY created_at`,
+      [userId]
+    );
+
+    const jobs = [];
+    for (const video of result.rows) {
+      const jobData = video.job_id ? await redisClient.get(`job_${video.job_id}`) : null;
+      const live = jobData ? JSON.parse(jobData) : {};
+
+      jobs.push({
+        jobId: video.job_id,
+        videoId: video.id,
+        userId,
+        fileName: video.original_name,
+        status: video.status,
+        progress: Math.max(live.progress || 0, video.progress || 0),
+        step: live.currentStep || null,
+        attempts: video.attempts,
+        error: video.error_message,
+        scheduledFor: video.scheduled_for && video.scheduled_for > new Date() ? video.scheduled_for : null
+      });
+    }
+
+    sendEvent(res, 'snapshot', { jobs });
+  } catch (error) {
+    console.error('Progress snapshot error:', error);
+    sendEvent(res, 'snapshot', { jobs: [] });
+  }
+});
+
+// Helper function to get content type
+function getContentType(filename) {
+  const ext = path.extname(filename).toLowerCase();
+  const mimeTypes = {
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime',
+    '.avi': 'video/x-msvideo',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    // Opus audio outputs are written as .ogg
+    '.ogg': 'audio/ogg',
+    '.flac': 'audio/flac',
+    '.json': 'application/json',
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.vtt': 'text/vtt'
+  };
+  return mimeTypes[ext] || 'application/octet-stream';
+}
+
+// Start server
+storage.init().catch(error => console.error('Storage init error:', error));
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Upload Service running on port ${PORT}`);
   console.log(`📊 Memory limit: ${process.env.NODE_OPTIONS || 'default'}`);